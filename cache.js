@@ -0,0 +1,169 @@
+// ---------------------------------------------
+// Summary data cache
+// Summary tables of the insights worksheet (with any generated insights),
+// keyed by a fingerprint of its filters and every parameter value.
+// Returning to a selection within the configured TTL renders from here,
+// without fetching or typing. Entries live in memory and, when enabled,
+// in IndexedDB; a SummaryDataChanged event on the insights worksheet
+// clears both.
+// ---------------------------------------------
+
+const CACHE_MAX_ENTRIES = 50;
+const CACHE_DB_NAME = "ai-insights-cache";
+const CACHE_DB_STORE = "summaryData";
+
+// fingerprint -> { storedAt, table }, oldest first
+const summaryCache = new Map();
+let cacheDbPromise = null;
+
+function isCacheEnabled() {
+  return getCacheTtlMinutes() > 0;
+}
+
+// The same selection gives the same string, whatever order Tableau
+// lists the filters, parameters or applied values in. source names the
+// worksheet and insight provider the table came from. null when a filter
+// can't be keyed: that selection is never cached.
+function selectionFingerprint(source, filters, parameters) {
+  const byName = (a, b) => a[0].localeCompare(b[0]);
+  const filterKeys = filters.map(filter => [filter.fieldName, filter.filterType, filterValueKey(filter)]);
+  if (filterKeys.some(key => key[2] === null)) return null;
+  return JSON.stringify([
+    source,
+    filterKeys.sort(byName),
+    parameters.map(param => [param.name, String(param.currentValue.value)]).sort(byName),
+  ]);
+}
+
+// What a filter lets through; null for filter types it doesn't know
+function filterValueKey(filter) {
+  const raw = cell => (cell ? String(cell.value) : "");
+  switch (filter.filterType) {
+    case "categorical":
+      if (filter.isAllSelected) return "(All)";
+      return [filter.isExcludeMode ? "exclude" : "include"]
+        .concat((filter.appliedValues || []).map(raw).sort());
+    case "range":
+      return [raw(filter.minValue), raw(filter.maxValue), filter.includeNullValues];
+    case "relative-date":
+      return [filter.rangeType, filter.rangeN, filter.periodType, raw(filter.anchorDate)];
+    case "hierarchical":
+      if (filter.isAllSelected) return "(All)";
+      return (filter.appliedValues || []).map(v => v.hierarchicalPath || raw(v.value)).sort();
+    default:
+      return null;
+  }
+}
+
+// Cached table for a fingerprint, or null when missing or expired
+async function getCachedTable(fingerprint) {
+  let entry = summaryCache.get(fingerprint);
+  if (!entry && isCachePersistent()) {
+    entry = await readPersistedEntry(fingerprint).catch(err => {
+      log(`Could not read the insights cache: ${err.message || err}`);
+      return null;
+    });
+    if (entry) summaryCache.set(fingerprint, entry);
+  }
+  if (!entry) return null;
+
+  if (Date.now() - entry.storedAt > getCacheTtlMinutes() * 60 * 1000) {
+    summaryCache.delete(fingerprint);
+    return null;
+  }
+  return entry.table;
+}
+
+function cacheTable(fingerprint, table) {
+  const entry = { storedAt: Date.now(), table: plainTable(table) };
+  summaryCache.delete(fingerprint);
+  summaryCache.set(fingerprint, entry);
+  while (summaryCache.size > CACHE_MAX_ENTRIES) {
+    summaryCache.delete(summaryCache.keys().next().value);
+  }
+
+  if (isCachePersistent()) {
+    writePersistedEntry(fingerprint, entry).catch(err => {
+      log(`Could not write the insights cache: ${err.message || err}`);
+    });
+  }
+}
+
+function clearSummaryCache() {
+  summaryCache.clear();
+  if (cacheDbPromise || isCachePersistent()) {
+    cacheStoreRequest("readwrite", store => store.delete(persistedKeyRange())).catch(err => {
+      log(`Could not clear the insights cache: ${err.message || err}`);
+    });
+  }
+}
+
+// Copy of a DataTable with only the plain fields the extension reads, so
+// it can be stored in IndexedDB and can't change under the cache
+function plainTable(table) {
+  return {
+    columns: table.columns.map(c => ({ fieldName: c.fieldName, dataType: c.dataType, index: c.index })),
+    data: table.data.map(row => row.map(cell => ({
+      value: cell.value,
+      formattedValue: cell.formattedValue,
+      nativeValue: cell.nativeValue,
+    }))),
+  };
+}
+
+// ---------------------------------------------
+// IndexedDB persistence
+// ---------------------------------------------
+
+// Several dashboards can share the extension's origin
+function persistedKey(fingerprint) {
+  return `${dashboard ? dashboard.name : ""}\u0000${fingerprint}`;
+}
+
+// Every persisted key of this dashboard, and only those
+function persistedKeyRange() {
+  return IDBKeyRange.bound(persistedKey(""), `${dashboard ? dashboard.name : ""}\u0001`, false, true);
+}
+
+function openCacheDb() {
+  if (!cacheDbPromise) cacheDbPromise = openIndexedDb(CACHE_DB_NAME, CACHE_DB_STORE);
+  return cacheDbPromise;
+}
+
+function cacheStoreRequest(mode, makeRequest) {
+  return indexedDbRequest(openCacheDb(), CACHE_DB_STORE, mode, makeRequest);
+}
+
+// Opens a database with a single object store (also used by feedback.js);
+// rejects where IndexedDB is not available
+function openIndexedDb(name, storeName, storeOptions) {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not available."));
+      return;
+    }
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName, storeOptions);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs one request against the store and resolves to its result
+function indexedDbRequest(dbPromise, storeName, mode, makeRequest) {
+  return dbPromise.then(db => new Promise((resolve, reject) => {
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    const request = makeRequest(store);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+function readPersistedEntry(fingerprint) {
+  return cacheStoreRequest("readonly", store => store.get(persistedKey(fingerprint)))
+    .then(entry => entry || null);
+}
+
+function writePersistedEntry(fingerprint, entry) {
+  return cacheStoreRequest("readwrite", store => store.put(entry, persistedKey(fingerprint)));
+}
@@ -0,0 +1,292 @@
+// ---------------------------------------------
+// Ask about this dashboard
+// A chat panel for follow-up questions ("why did DTC drop for Brand A?").
+// Each question goes to the configured chat endpoint together with the
+// summary data behind the cards, the active filters / parameters, the
+// visible cards and the conversation so far; the answer is shown as it
+// streams in. The history lasts for the browser session (sessionStorage)
+// and is kept per dashboard. The toolbar button only shows when an
+// endpoint is configured.
+//
+// Chat endpoint schema (version 1)
+//   Request:  POST, Content-Type: application/json
+//     {
+//       "version": 1,
+//       "dashboard": "Sales overview",
+//       "worksheet": "AI Insights- Estimated Spend",
+//       "question": "Why did DTC drop for Brand A?",
+//       "history": [{ "role": "user", "content": "…" },
+//                   { "role": "assistant", "content": "…" }],
+//       "context": [{ "name": "Brand", "value": "A, B" }],
+//       "columns": [{ "fieldName": "Brand", "dataType": "string" }],
+//       "rows": [["Alpha", "DTC", "1400000"]],       // formatted values
+//       "insights": [{ "title": "Alpha", "badges": ["DTC", "TV"],
+//                      "dateRange": "…", "text": "Markdown text" }]
+//     }
+//   Response: 200, the answer as Markdown text, streamed in any number of
+//   chunks (text/plain), or application/json { "answer": "…" } at once.
+//   insight-stub-server.js answers on /chat for local testing.
+// ---------------------------------------------
+
+const CHAT_SCHEMA_VERSION = 1;
+// Until the endpoint starts answering; a streaming answer may take longer
+const CHAT_RESPONSE_TIMEOUT_MS = 30000;
+const CHAT_STORAGE_PREFIX = "ai-insights-chat";
+
+// [{ role: "user" | "assistant", content }] of this dashboard's session
+let chatHistory = null;
+// Aborts the answer being streamed, if any
+let chatController = null;
+
+// DOM helpers
+const chatToggleEl = () => document.getElementById("chat-toggle");
+const chatPanelEl = () => document.getElementById("chat-panel");
+const chatMessagesEl = () => document.getElementById("chat-messages");
+const chatFormEl = () => document.getElementById("chat-form");
+const chatInputEl = () => document.getElementById("chat-input");
+const chatSendEl = () => document.getElementById("chat-send");
+const chatClearEl = () => document.getElementById("chat-clear");
+
+document.addEventListener("DOMContentLoaded", () => {
+  const toggle = chatToggleEl();
+  const form = chatFormEl();
+  if (!toggle || !form) return;
+
+  toggle.addEventListener("click", () => {
+    const open = chatPanelEl().hidden;
+    chatPanelEl().hidden = !open;
+    toggle.setAttribute("aria-pressed", String(open));
+    if (open) {
+      renderChatHistory();
+      chatInputEl().focus();
+    }
+  });
+  form.addEventListener("submit", event => {
+    event.preventDefault();
+    submitChat();
+  });
+  chatInputEl().addEventListener("keydown", event => {
+    // Enter sends, Shift+Enter starts a new line
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      submitChat();
+    }
+  });
+  chatClearEl().addEventListener("click", () => {
+    if (chatController) chatController.abort();
+    chatHistory = [];
+    saveChatHistory();
+    renderChatHistory();
+  });
+});
+
+// Show the toolbar button only when there is an endpoint to ask
+function updateChatAvailability() {
+  const toggle = chatToggleEl();
+  if (!toggle) return;
+  const available = !!getChatEndpoint();
+  toggle.hidden = !available;
+  if (!available) {
+    chatPanelEl().hidden = true;
+    toggle.setAttribute("aria-pressed", "false");
+  }
+}
+
+// Send the typed question, or stop the answer being streamed
+function submitChat() {
+  if (chatController) {
+    chatController.abort();
+    return;
+  }
+  const question = chatInputEl().value.trim();
+  if (question) askQuestion(question);
+}
+
+async function askQuestion(question) {
+  const endpoint = getChatEndpoint();
+  if (!endpoint) return;
+
+  const history = loadChatHistory();
+  const request = buildChatRequest(question, history);
+  history.push({ role: "user", content: question });
+  saveChatHistory();
+  chatInputEl().value = "";
+
+  appendChatMessage("user", question);
+  const answerEl = appendChatMessage("assistant", "");
+  answerEl.classList.add("streaming");
+  setChatBusy(true);
+
+  try {
+    const answer = await streamAnswer(endpoint, request, text => {
+      answerEl.textContent = text;
+      scrollChatToEnd();
+    });
+    history.push({ role: "assistant", content: answer });
+    saveChatHistory();
+    fillChatMessage(answerEl, answer);
+  } catch (err) {
+    // The question stays in the history; the failed answer does not
+    answerEl.classList.add("chat-error");
+    answerEl.textContent = err.name === "AbortError" && answerEl.textContent
+      ? `${answerEl.textContent} [stopped]`
+      : chatErrorText(err);
+    log(`Chat: ${chatErrorText(err)}`);
+  } finally {
+    answerEl.classList.remove("streaming");
+    setChatBusy(false);
+    scrollChatToEnd();
+  }
+}
+
+// Resolves to the whole answer; onText gets the text so far as it arrives
+async function streamAnswer(endpoint, request, onText) {
+  chatController = new AbortController();
+  const timer = setTimeout(() => chatController.abort(), CHAT_RESPONSE_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(request),
+      signal: chatController.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!response.ok) throw new Error(`Chat endpoint returned HTTP ${response.status}.`);
+
+  const type = response.headers.get("Content-Type") || "";
+  if (type.indexOf("application/json") !== -1) {
+    const payload = await response.json();
+    if (!payload || typeof payload.answer !== "string") {
+      throw new Error('Chat endpoint response has no "answer".');
+    }
+    onText(payload.answer);
+    return payload.answer;
+  }
+
+  if (!response.body || !response.body.getReader) {
+    const text = await response.text();
+    onText(text);
+    return text;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+    onText(text);
+  }
+  text += decoder.decode();
+  onText(text);
+  return text;
+}
+
+function chatErrorText(err) {
+  if (err.name === "AbortError") return "No answer: the request was stopped or timed out.";
+  if (err.name === "TypeError") return `Chat endpoint unreachable: ${err.message}`;
+  return err.message || String(err);
+}
+
+function buildChatRequest(question, history) {
+  const table = currentSummaryTable || { columns: [], data: [] };
+  return {
+    version: CHAT_SCHEMA_VERSION,
+    dashboard: dashboard ? dashboard.name : "",
+    worksheet: getInsightsWorksheetName(),
+    question,
+    history: history.slice(),
+    context: selectionContext,
+    columns: table.columns.map(c => ({ fieldName: c.fieldName, dataType: c.dataType })),
+    rows: table.data.map(row => row.map(cell => cell.formattedValue)),
+    insights: collectExportSnapshot().insights.map(insight => ({
+      title: insight.title.value,
+      badges: insight.badges.map(badge => badge.value),
+      dateRange: insight.dateRange,
+      text: insight.text,
+    })),
+  };
+}
+
+// ---------------------------------------------
+// History
+// ---------------------------------------------
+function chatStorageKey() {
+  return `${CHAT_STORAGE_PREFIX}:${dashboard ? dashboard.name : ""}`;
+}
+
+function loadChatHistory() {
+  if (!chatHistory) {
+    try {
+      const saved = JSON.parse(window.sessionStorage.getItem(chatStorageKey()) || "[]");
+      chatHistory = Array.isArray(saved) ? saved : [];
+    } catch (e) {
+      chatHistory = [];
+    }
+  }
+  return chatHistory;
+}
+
+// Storage may be unavailable (e.g. blocked in a sandboxed frame); the
+// history then lasts until the page reloads
+function saveChatHistory() {
+  try {
+    window.sessionStorage.setItem(chatStorageKey(), JSON.stringify(chatHistory || []));
+  } catch (e) {
+    // ignore
+  }
+}
+
+// ---------------------------------------------
+// Panel
+// ---------------------------------------------
+function renderChatHistory() {
+  const messages = chatMessagesEl();
+  if (!messages) return;
+  messages.innerHTML = "";
+  loadChatHistory().forEach(({ role, content }) => appendChatMessage(role, content));
+  if (chatHistory.length === 0) {
+    const hint = document.createElement("div");
+    hint.className = "chat-hint";
+    hint.textContent = "Ask a follow-up about the cards, e.g. \"Why did DTC drop for Alpha?\"";
+    messages.appendChild(hint);
+  }
+  scrollChatToEnd();
+}
+
+function appendChatMessage(role, content) {
+  const messages = chatMessagesEl();
+  const hint = messages.querySelector(".chat-hint");
+  if (hint) hint.remove();
+
+  const message = document.createElement("div");
+  message.className = `chat-message chat-${role}`;
+  if (role === "assistant") {
+    fillChatMessage(message, content);
+  } else {
+    message.textContent = content;
+  }
+  messages.appendChild(message);
+  return message;
+}
+
+// Answers are Markdown, rendered like the card text
+function fillChatMessage(element, text) {
+  element.textContent = "";
+  element.appendChild(renderMarkdown(text));
+}
+
+function setChatBusy(busy) {
+  if (!busy) chatController = null;
+  chatSendEl().textContent = busy ? "Stop" : "Send";
+  chatInputEl().disabled = busy;
+}
+
+function scrollChatToEnd() {
+  const messages = chatMessagesEl();
+  if (messages) messages.scrollTop = messages.scrollHeight;
+}
@@ -0,0 +1,211 @@
+// ---------------------------------------------
+// Compare with the previous selection
+// Every render keeps the cards it replaced (by card key: title and badge
+// values, e.g. Brand / Hcp Dtc Identifier / Source). In comparison mode
+// each card body shows a word-level diff against its previous text, with
+// numbers that went up or down colored, and cards that disappeared are
+// listed below the current ones.
+// ---------------------------------------------
+
+const DIFF_NUMBER = /^[-+−]?[$£€]?(\d[\d,]*(?:\.\d+)?)\s*(K|M|B|%|bps)?/i;
+const DIFF_NUMBER_SCALES = { k: 1e3, m: 1e6, b: 1e9 };
+
+let comparisonMode = false;
+
+// Cards and selection of the render before the current one
+let comparisonBase = null;             // { cards: Map(key -> insight), context }
+let currentRenderContext = [];
+
+// DOM helpers
+const compareToggleEl = () => document.getElementById("compare-toggle");
+const comparisonSummaryEl = () => document.getElementById("comparison-summary");
+const removedInsightsEl = () => document.getElementById("removed-insights");
+
+document.addEventListener("DOMContentLoaded", () => {
+  const toggle = compareToggleEl();
+  if (!toggle) return;
+  toggle.addEventListener("click", () => {
+    comparisonMode = !comparisonMode;
+    toggle.setAttribute("aria-pressed", String(comparisonMode));
+    applyComparison();
+    applySearch();
+  });
+});
+
+// Called by renderInsightsCards before it replaces the cards on screen
+function rememberComparisonBase() {
+  if (cardIndex.size) {
+    comparisonBase = {
+      cards: new Map(Array.from(cardIndex).map(([key, entry]) => [key, entry.insight])),
+      context: currentRenderContext,
+    };
+  }
+  currentRenderContext = selectionContext.slice();
+}
+
+// Show (or take away) the diff on every rendered card
+function applyComparison() {
+  const summary = comparisonSummaryEl();
+  const removed = removedInsightsEl();
+  if (summary) summary.innerHTML = "";
+  if (removed) removed.innerHTML = "";
+
+  if (!comparisonMode) {
+    if (summary) summary.style.display = "none";
+    cardIndex.forEach(({ card, insight }) => {
+      card.classList.remove("compare-new", "compare-changed");
+      fillPlainCardBody(card.querySelector(".insight-body"), insight);
+    });
+    return;
+  }
+
+  // Diffs work on the final text
+  skipAnimations();
+  if (summary) summary.style.display = "block";
+
+  if (!comparisonBase) {
+    if (summary) summary.textContent = "Nothing to compare with yet. Change a filter or parameter first.";
+    return;
+  }
+
+  const counts = { changed: 0, added: 0, removed: 0 };
+  cardIndex.forEach(({ card, insight }, key) => {
+    const before = comparisonBase.cards.get(key);
+    const body = card.querySelector(".insight-body");
+    const changed = !!before && before.text !== insight.text;
+    card.classList.toggle("compare-new", !before);
+    card.classList.toggle("compare-changed", changed);
+
+    if (!before) counts.added++;
+    if (changed) {
+      counts.changed++;
+      body.textContent = "";
+      body.appendChild(renderWordDiff(diffWords(before.text, insight.text)));
+    } else {
+      // A card kept from the last render may still show its old diff
+      fillPlainCardBody(body, insight);
+    }
+  });
+
+  const gone = Array.from(comparisonBase.cards).filter(([key]) => !cardIndex.has(key));
+  counts.removed = gone.length;
+  if (removed && gone.length) {
+    const heading = document.createElement("h3");
+    heading.className = "removed-heading";
+    heading.textContent = "Removed since the previous selection";
+    removed.appendChild(heading);
+    gone.forEach(([, insight]) => removed.appendChild(buildRemovedCard(insight)));
+  }
+
+  if (summary) {
+    const base = formatSelectionContext(comparisonBase.context) || "no filters";
+    summary.textContent = `Compared with ${base}: ${counts.changed} changed, ` +
+      `${counts.added} new, ${counts.removed} removed.`;
+  }
+}
+
+// The card's own text, without a diff
+function fillPlainCardBody(body, insight) {
+  if (insight.text) {
+    fillCardBody(body, insight.text);
+  } else {
+    body.innerHTML = "<em>No data</em>";
+  }
+}
+
+function buildRemovedCard(insight) {
+  // Only a record of what was there: no filter, mark or feedback actions
+  const card = buildInsightCard(insight, { inert: true });
+  card.classList.add("compare-removed");
+  fillCardBody(card.querySelector(".insight-body"), insight.text || "");
+  return card;
+}
+
+// ---------------------------------------------
+// Word diff
+// ---------------------------------------------
+
+// Words and line breaks of the plain text
+function diffTokens(text) {
+  return markdownToPlainText(text || "").match(/\n|[^\s]+/g) || [];
+}
+
+// [{ type: "same" | "added" | "removed", text }] via longest common
+// subsequence; insights are short, so the O(n·m) table is fine
+function diffWords(oldText, newText) {
+  const a = diffTokens(oldText);
+  const b = diffTokens(newText);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      parts.push({ type: "same", text: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      // Removals first, so a changed number reads "old new"
+      parts.push({ type: "removed", text: a[i++] });
+    } else {
+      parts.push({ type: "added", text: b[j++] });
+    }
+  }
+  return parts;
+}
+
+// Numeric value of a token like "$1.4M", "12%" or "5 bps"; null otherwise
+function parseDiffNumber(token) {
+  const m = token.match(DIFF_NUMBER);
+  if (!m) return null;
+  const unit = (m[2] || "").toLowerCase();
+  const value = parseFloat(m[1].replace(/,/g, "")) * (DIFF_NUMBER_SCALES[unit] || 1);
+  const sign = /^[-−]/.test(token) ? -1 : 1;
+  return { value: sign * value, unit: unit in DIFF_NUMBER_SCALES ? "" : unit };
+}
+
+function renderWordDiff(parts) {
+  const fragment = document.createDocumentFragment();
+  const p = document.createElement("p");
+  fragment.appendChild(p);
+
+  // Removed numbers, in order, waiting for the added number replacing them
+  let replaced = [];
+
+  parts.forEach((part, idx) => {
+    if (part.text === "\n") {
+      if (part.type !== "removed") p.appendChild(document.createElement("br"));
+      return;
+    }
+    if (idx > 0 && parts[idx - 1].text !== "\n") p.appendChild(document.createTextNode(" "));
+
+    if (part.type === "same") {
+      replaced = [];
+      p.appendChild(document.createTextNode(part.text));
+      return;
+    }
+
+    const el = document.createElement(part.type === "added" ? "ins" : "del");
+    el.className = `diff-${part.type}`;
+    el.textContent = part.text;
+
+    const number = parseDiffNumber(part.text);
+    if (part.type === "removed") {
+      if (number) replaced.push({ number, text: part.text });
+    } else if (number && replaced.length) {
+      const was = replaced.shift();
+      if (was.number.unit === number.unit && was.number.value !== number.value) {
+        el.classList.add(number.value > was.number.value ? "diff-up" : "diff-down");
+        el.title = `was ${was.text}`;
+      }
+    }
+    p.appendChild(el);
+  });
+
+  return fragment;
+}
@@ -0,0 +1,427 @@
+// ---------------------------------------------
+// Configure dialog
+// Lists the dashboard's worksheets and parameters, and saves the
+// author's choice to tableau.extensions.settings.
+// ---------------------------------------------
+
+// Value used in the lists for "no parameter" / "no field"
+const NO_SELECTION = "";
+
+// Label of the empty choice for each single-field role
+const ROLE_EMPTY_LABELS = {
+  title: "(none)",
+  date: "(none)",
+  body: "(auto-detect)",
+  severity: "(none)",
+  sort: "(none)",
+  current: "(auto-detect)",
+  previous: "(auto-detect)",
+};
+
+let dashboard = null;
+
+// Narrative templates being edited: "" -> those for all measures, and
+// measure -> its own; the inputs show the ones for shownTemplateMeasure
+let templateDrafts = { "": {} };
+let shownTemplateMeasure = "";
+
+// DOM helpers
+const worksheetSelectEl = () => document.getElementById("worksheet-select");
+const parameterSelectEl = () => document.getElementById("parameter-select");
+const configStatusEl = () => document.getElementById("config-status");
+const badgeListEl = () => document.getElementById("map-badges");
+const filterWorksheetsEl = () => document.getElementById("filter-worksheets");
+const groupByEl = () => document.getElementById("group-by");
+const sortOrderEl = () => document.getElementById("sort-order");
+const sortDirectionEl = () => document.getElementById("sort-direction");
+const actionWorksheetsEl = () => document.getElementById("action-worksheets");
+const markSelectionTriggerEl = () => document.getElementById("trigger-mark-selection");
+const summaryDataTriggerEl = () => document.getElementById("trigger-summary-data");
+const cacheTtlEl = () => document.getElementById("cache-ttl");
+const cachePersistentEl = () => document.getElementById("cache-persistent");
+const verifyNumbersEl = () => document.getElementById("verify-numbers");
+const validationWorksheetEl = () => document.getElementById("validation-worksheet");
+const verificationToleranceEl = () => document.getElementById("verification-tolerance");
+const chatEndpointEl = () => document.getElementById("chat-endpoint");
+const insightEndpointEl = () => document.getElementById("insight-endpoint");
+const narrativeTemplatesEl = () => document.getElementById("narrative-templates");
+const templateInputs = () => Array.from(document.querySelectorAll("input[data-template]"));
+const templateMeasureEl = () => document.getElementById("template-measure");
+const roleSelectEl = role => document.querySelector(`select[data-role="${role}"]`);
+
+function setConfigStatus(message) {
+  const el = configStatusEl();
+  if (el) el.textContent = message;
+}
+
+// Fill a <select> with names, keeping a saved value even if it no longer
+// exists on the dashboard so the author can see what was configured
+function fillSelect(select, names, selected, emptyLabel) {
+  if (!select) return;
+  select.innerHTML = "";
+
+  if (emptyLabel !== undefined) {
+    select.appendChild(new Option(emptyLabel, NO_SELECTION));
+  }
+
+  names.forEach(name => select.appendChild(new Option(name, name)));
+
+  if (selected && names.indexOf(selected) === -1) {
+    select.appendChild(new Option(`${selected} (not found)`, selected));
+  }
+  select.value = selected || NO_SELECTION;
+}
+
+// ---------------------------------------------
+// Column mapping
+// ---------------------------------------------
+// Fill a checkbox list, keeping checked names that no longer exist
+function fillCheckList(list, names, selected) {
+  if (!list) return;
+  list.innerHTML = "";
+
+  const missing = selected.filter(name => names.indexOf(name) === -1);
+  names.concat(missing).forEach(name => {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = name;
+    box.checked = selected.indexOf(name) !== -1;
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(
+      missing.indexOf(name) === -1 ? ` ${name}` : ` ${name} (not found)`
+    ));
+    list.appendChild(label);
+  });
+}
+
+function checkedValues(list) {
+  return Array.from(list.querySelectorAll("input:checked")).map(box => box.value);
+}
+
+function fillColumnMapping(names, mapping, groupBy) {
+  Object.keys(ROLE_EMPTY_LABELS).forEach(role => {
+    fillSelect(roleSelectEl(role), names, mapping[role], ROLE_EMPTY_LABELS[role]);
+  });
+  fillCheckList(badgeListEl(), names, mapping.badges || []);
+  fillSelect(groupByEl(), names, groupBy, "(no grouping)");
+}
+
+// Mapping as currently chosen in the form
+function collectColumnMapping() {
+  const mapping = {};
+  Object.keys(ROLE_EMPTY_LABELS).forEach(role => {
+    mapping[role] = roleSelectEl(role).value;
+  });
+  mapping.badges = checkedValues(badgeListEl());
+  return mapping;
+}
+
+// Load the field names of a worksheet's summary data into the mapping
+// and group-by lists
+function loadColumns(worksheetName, mapping, groupBy) {
+  const sheet = dashboard.worksheets.find(ws => ws.name === worksheetName);
+  if (!sheet) {
+    fillColumnMapping([], mapping, groupBy);
+    fillTemplateMeasures([]);
+    return Promise.resolve();
+  }
+
+  setConfigStatus(`Loading fields of "${worksheetName}"…`);
+  return sheet.getSummaryDataAsync({ maxRows: 1 }).then(dataTable => {
+    fillColumnMapping(dataTable.columns.map(c => c.fieldName), mapping, groupBy);
+    fillTemplateMeasures(dataTable.columns);
+    setConfigStatus("");
+  }).catch(err => {
+    fillColumnMapping([], mapping, groupBy);
+    fillTemplateMeasures([]);
+    setConfigStatus(`Could not read fields: ${err.message || err}`);
+  });
+}
+
+// ---------------------------------------------
+// Refresh triggers
+// ---------------------------------------------
+function radioValue(name) {
+  const checked = document.querySelector(`input[name="${name}"]:checked`);
+  return checked ? checked.value : "";
+}
+
+function setRadioValue(name, value) {
+  document.querySelectorAll(`input[name="${name}"]`).forEach(radio => {
+    radio.checked = radio.value === value;
+  });
+}
+
+// The worksheet list only applies to the "selected" filter scope
+function updateFilterWorksheetsState() {
+  const list = filterWorksheetsEl();
+  const enabled = radioValue("filter-scope") === FILTER_SCOPES.selected;
+  list.classList.toggle("disabled", !enabled);
+  list.querySelectorAll("input").forEach(box => { box.disabled = !enabled; });
+}
+
+function fillRefreshTriggers() {
+  setRadioValue("filter-scope", getFilterScope());
+  setRadioValue("parameter-scope", getParameterScope());
+  markSelectionTriggerEl().checked = isMarkSelectionTriggerEnabled();
+  summaryDataTriggerEl().checked = isSummaryDataTriggerEnabled();
+  fillCheckList(
+    filterWorksheetsEl(),
+    dashboard.worksheets.map(ws => ws.name),
+    getFilterWorksheets()
+  );
+  updateFilterWorksheetsState();
+  document.querySelectorAll('input[name="filter-scope"]').forEach(radio => {
+    radio.addEventListener("change", updateFilterWorksheetsState);
+  });
+}
+
+// The endpoint / templates only apply to their own insight provider
+function updateInsightProviderState() {
+  const provider = radioValue("insight-provider");
+  insightEndpointEl().disabled = provider !== INSIGHT_PROVIDERS.http;
+  const rules = provider === INSIGHT_PROVIDERS.rules;
+  narrativeTemplatesEl().classList.toggle("disabled", !rules);
+  templateInputs().forEach(input => { input.disabled = !rules; });
+  templateMeasureEl().disabled = !rules;
+}
+
+function fillInsightProvider() {
+  setRadioValue("insight-provider", getInsightProvider());
+  insightEndpointEl().value = getInsightEndpoint();
+  const saved = getJsonSetting(SETTING_KEYS.narrativeTemplates, {});
+  templateDrafts = Object.assign({ "": getNarrativeTemplates() }, saved.measures);
+  showTemplates("");
+  templateMeasureEl().addEventListener("change", () => {
+    stashTemplates();
+    showTemplates(templateMeasureEl().value);
+  });
+  updateInsightProviderState();
+  document.querySelectorAll('input[name="insight-provider"]').forEach(radio => {
+    radio.addEventListener("change", updateInsightProviderState);
+  });
+}
+
+function fillNumberChecks() {
+  verifyNumbersEl().checked = isNumberVerificationEnabled();
+  fillSelect(
+    validationWorksheetEl(),
+    dashboard.worksheets.map(ws => ws.name),
+    getValidationWorksheetName(),
+    "(none)"
+  );
+  verificationToleranceEl().value = String(getVerificationTolerance());
+  const update = () => {
+    validationWorksheetEl().disabled = !verifyNumbersEl().checked;
+    verificationToleranceEl().disabled = !verifyNumbersEl().checked;
+  };
+  update();
+  verifyNumbersEl().addEventListener("change", update);
+}
+
+// Measures the rules provider finds in the columns (numeric ones, with a
+// "prior" column folded into its current one); saved ones are kept
+function fillTemplateMeasures(columns) {
+  const measures = columns
+    .filter(c => NUMERIC_DATA_TYPES.indexOf(c.dataType) !== -1 && !PREVIOUS_WORDS.test(c.fieldName))
+    .map(c => measureLabel(c.fieldName))
+    .concat(Object.keys(templateDrafts).filter(Boolean))
+    .filter((measure, idx, all) => all.indexOf(measure) === idx);
+  fillSelect(templateMeasureEl(), measures, shownTemplateMeasure, "(all measures)");
+}
+
+function stashTemplates() {
+  const templates = {};
+  templateInputs().forEach(input => {
+    templates[input.dataset.template] = input.value.trim();
+  });
+  templateDrafts[shownTemplateMeasure] = templates;
+}
+
+// A measure's empty templates fall back to those for all measures
+function showTemplates(measure) {
+  shownTemplateMeasure = measure;
+  const templates = templateDrafts[measure] || {};
+  templateInputs().forEach(input => {
+    const key = input.dataset.template;
+    input.value = templates[key] || "";
+    input.placeholder = (measure && templateDrafts[""][key]) || DEFAULT_NARRATIVE_TEMPLATES[key];
+  });
+}
+
+function collectNarrativeTemplates() {
+  stashTemplates();
+  const measures = {};
+  Object.keys(templateDrafts).filter(Boolean).forEach(measure => {
+    const own = {};
+    Object.keys(templateDrafts[measure]).forEach(key => {
+      if (templateDrafts[measure][key]) own[key] = templateDrafts[measure][key];
+    });
+    if (Object.keys(own).length) measures[measure] = own;
+  });
+  return Object.assign({}, templateDrafts[""], { measures });
+}
+
+function isHttpUrl(text) {
+  try {
+    return ["http:", "https:"].indexOf(new URL(text).protocol) !== -1;
+  } catch (e) {
+    return false;
+  }
+}
+
+// ---------------------------------------------
+// Initialization
+// ---------------------------------------------
+document.addEventListener("DOMContentLoaded", () => {
+  tableau.extensions.initializeDialogAsync().then(() => {
+    dashboard = tableau.extensions.dashboardContent.dashboard;
+
+    fillSelect(
+      worksheetSelectEl(),
+      dashboard.worksheets.map(ws => ws.name),
+      getInsightsWorksheetName()
+    );
+
+    fillRefreshTriggers();
+    fillInsightProvider();
+    fillCheckList(
+      actionWorksheetsEl(),
+      dashboard.worksheets.map(ws => ws.name),
+      getActionWorksheets()
+    );
+    setRadioValue("mark-linking", getMarkLinkingMode());
+    sortOrderEl().value = getSortOrder();
+    sortDirectionEl().value = getSortDirection();
+    cacheTtlEl().value = String(getCacheTtlMinutes());
+    cachePersistentEl().checked = isCachePersistent();
+    fillNumberChecks();
+    chatEndpointEl().value = getChatEndpoint();
+
+    worksheetSelectEl().addEventListener("change", () => {
+      loadColumns(worksheetSelectEl().value, collectColumnMapping(), groupByEl().value);
+    });
+
+    return Promise.all([
+      dashboard.getParametersAsync().then(params => {
+        fillSelect(
+          parameterSelectEl(),
+          params.map(p => p.name),
+          getDateRangeParamName(),
+          "(none)"
+        );
+      }),
+      loadColumns(getInsightsWorksheetName(), getColumnMapping(), getGroupByField()),
+    ]);
+  }).catch(err => {
+    console.error("Failed to initialize configure dialog:", err);
+    setConfigStatus(`Could not load dashboard: ${err.message || err}`);
+  });
+
+  document.getElementById("save-button").addEventListener("click", saveSettings);
+  document.getElementById("cancel-button").addEventListener("click", () => {
+    tableau.extensions.ui.closeDialog("cancelled");
+  });
+});
+
+// ---------------------------------------------
+// Save
+// ---------------------------------------------
+function saveSettings() {
+  const worksheet = worksheetSelectEl().value;
+  if (!worksheet) {
+    setConfigStatus("Please pick an insights worksheet.");
+    return;
+  }
+  const provider = radioValue("insight-provider") || INSIGHT_PROVIDERS.worksheet;
+  const endpoint = insightEndpointEl().value.trim();
+  if (provider === INSIGHT_PROVIDERS.http && !isHttpUrl(endpoint)) {
+    setConfigStatus("Please enter the http(s) URL of the insight endpoint.");
+    return;
+  }
+  const cacheTtl = parseFloat(cacheTtlEl().value);
+  if (!isFinite(cacheTtl) || cacheTtl < 0) {
+    setConfigStatus("Cache time must be 0 or more minutes.");
+    return;
+  }
+  const chatEndpoint = chatEndpointEl().value.trim();
+  if (chatEndpoint && !isHttpUrl(chatEndpoint)) {
+    setConfigStatus("The chat endpoint must be an http(s) URL.");
+    return;
+  }
+  const tolerance = parseFloat(verificationToleranceEl().value);
+  if (!isFinite(tolerance) || tolerance < 0) {
+    setConfigStatus("Tolerance must be 0 or more percent.");
+    return;
+  }
+
+  tableau.extensions.settings.set(SETTING_KEYS.worksheet, worksheet);
+  tableau.extensions.settings.set(
+    SETTING_KEYS.dateRangeParam,
+    parameterSelectEl().value
+  );
+  tableau.extensions.settings.set(
+    SETTING_KEYS.filterScope,
+    radioValue("filter-scope") || FILTER_SCOPES.insights
+  );
+  tableau.extensions.settings.set(
+    SETTING_KEYS.filterWorksheets,
+    JSON.stringify(checkedValues(filterWorksheetsEl()))
+  );
+  tableau.extensions.settings.set(
+    SETTING_KEYS.parameterScope,
+    radioValue("parameter-scope") || PARAMETER_SCOPES.dateRange
+  );
+  tableau.extensions.settings.set(
+    SETTING_KEYS.refreshOnMarkSelection,
+    String(markSelectionTriggerEl().checked)
+  );
+  tableau.extensions.settings.set(
+    SETTING_KEYS.refreshOnSummaryData,
+    String(summaryDataTriggerEl().checked)
+  );
+  tableau.extensions.settings.set(
+    SETTING_KEYS.actionWorksheets,
+    JSON.stringify(checkedValues(actionWorksheetsEl()))
+  );
+  tableau.extensions.settings.set(
+    SETTING_KEYS.markLinking,
+    radioValue("mark-linking") || MARK_LINKING_MODES.click
+  );
+  tableau.extensions.settings.set(SETTING_KEYS.groupBy, groupByEl().value);
+  tableau.extensions.settings.set(SETTING_KEYS.sortOrder, sortOrderEl().value);
+  tableau.extensions.settings.set(SETTING_KEYS.sortDirection, sortDirectionEl().value);
+  tableau.extensions.settings.set(SETTING_KEYS.insightProvider, provider);
+  tableau.extensions.settings.set(SETTING_KEYS.insightEndpoint, endpoint);
+  tableau.extensions.settings.set(
+    SETTING_KEYS.narrativeTemplates,
+    JSON.stringify(collectNarrativeTemplates())
+  );
+  tableau.extensions.settings.set(SETTING_KEYS.cacheTtlMinutes, String(cacheTtl));
+  tableau.extensions.settings.set(
+    SETTING_KEYS.cachePersistent,
+    String(cachePersistentEl().checked)
+  );
+  tableau.extensions.settings.set(
+    SETTING_KEYS.verifyNumbers,
+    String(verifyNumbersEl().checked)
+  );
+  tableau.extensions.settings.set(
+    SETTING_KEYS.validationWorksheet,
+    validationWorksheetEl().value
+  );
+  tableau.extensions.settings.set(SETTING_KEYS.verificationTolerance, String(tolerance));
+  tableau.extensions.settings.set(SETTING_KEYS.chatEndpoint, chatEndpoint);
+  tableau.extensions.settings.set(
+    SETTING_KEYS.columnMapping,
+    JSON.stringify(collectColumnMapping())
+  );
+
+  setConfigStatus("Saving…");
+  tableau.extensions.settings.saveAsync().then(() => {
+    tableau.extensions.ui.closeDialog("saved");
+  }).catch(err => {
+    setConfigStatus(`Could not save settings: ${err.message || err}`);
+  });
+}
@@ -0,0 +1,188 @@
+// ---------------------------------------------
+// Demo fixture
+// Sample data for demo mode (index.html opened outside Tableau). Each
+// entry of summaryData is shaped like the DataTable returned by
+// getSummaryDataAsync for one value of the date range parameter.
+// ---------------------------------------------
+const DEMO_FIXTURE = {
+  "dashboardName": "AI Insights (demo)",
+  "worksheetName": "AI Insights- Estimated Spend",
+  "parameter": {
+    "name": "Date Range Selector",
+    "values": ["Last 4 weeks", "Last 13 weeks"],
+    "currentValue": "Last 13 weeks"
+  },
+  "filterField": "Brand",
+  "insightField": "AI Insight",
+  "summaryData": {
+    "Last 4 weeks": {
+      "columns": [
+        {"fieldName": "Brand", "dataType": "string", "index": 0},
+        {"fieldName": "Hcp Dtc Identifier", "dataType": "string", "index": 1},
+        {"fieldName": "Source", "dataType": "string", "index": 2},
+        {"fieldName": "Current Period Date Range", "dataType": "string", "index": 3},
+        {"fieldName": "Current Period Spend", "dataType": "float", "index": 4},
+        {"fieldName": "Prior Period Spend", "dataType": "float", "index": 5},
+        {"fieldName": "AI Insight", "dataType": "string", "index": 6}
+      ],
+      "data": [
+        [
+          {"value": "Alpha", "formattedValue": "Alpha", "nativeValue": "Alpha"},
+          {"value": "DTC", "formattedValue": "DTC", "nativeValue": "DTC"},
+          {"value": "TV", "formattedValue": "TV", "nativeValue": "TV"},
+          {"value": "Jul 28, 2025 - Aug 24, 2025", "formattedValue": "Jul 28, 2025 - Aug 24, 2025", "nativeValue": "Jul 28, 2025 - Aug 24, 2025"},
+          {"value": 498000, "formattedValue": "$498K", "nativeValue": 498000},
+          {"value": 402000, "formattedValue": "$402K", "nativeValue": 402000},
+          {"value": "TV spend for Alpha rose 24% to $498K over the last 4 weeks, versus $402K in the prior period. DTC response rates tracked spend closely.", "formattedValue": "TV spend for Alpha rose 24% to $498K over the last 4 weeks, versus $402K in the prior period. DTC response rates tracked spend closely.", "nativeValue": "TV spend for Alpha rose 24% to $498K over the last 4 weeks, versus $402K in the prior period. DTC response rates tracked spend closely."}
+        ],
+        [
+          {"value": "Alpha", "formattedValue": "Alpha", "nativeValue": "Alpha"},
+          {"value": "HCP", "formattedValue": "HCP", "nativeValue": "HCP"},
+          {"value": "Digital", "formattedValue": "Digital", "nativeValue": "Digital"},
+          {"value": "Jul 28, 2025 - Aug 24, 2025", "formattedValue": "Jul 28, 2025 - Aug 24, 2025", "nativeValue": "Jul 28, 2025 - Aug 24, 2025"},
+          {"value": 171000, "formattedValue": "$171K", "nativeValue": 171000},
+          {"value": 188000, "formattedValue": "$188K", "nativeValue": 188000},
+          {"value": "Digital spend for Alpha fell 9% to $171K over the last 4 weeks, versus $188K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "formattedValue": "Digital spend for Alpha fell 9% to $171K over the last 4 weeks, versus $188K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "nativeValue": "Digital spend for Alpha fell 9% to $171K over the last 4 weeks, versus $188K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels"}
+        ],
+        [
+          {"value": "Brivora", "formattedValue": "Brivora", "nativeValue": "Brivora"},
+          {"value": "DTC", "formattedValue": "DTC", "nativeValue": "DTC"},
+          {"value": "Social", "formattedValue": "Social", "nativeValue": "Social"},
+          {"value": "Jul 28, 2025 - Aug 24, 2025", "formattedValue": "Jul 28, 2025 - Aug 24, 2025", "nativeValue": "Jul 28, 2025 - Aug 24, 2025"},
+          {"value": 131000, "formattedValue": "$131K", "nativeValue": 131000},
+          {"value": 119000, "formattedValue": "$119K", "nativeValue": 119000},
+          {"value": "Social spend for Brivora rose 10% to $131K over the last 4 weeks, versus $119K in the prior period. DTC response rates tracked spend closely.", "formattedValue": "Social spend for Brivora rose 10% to $131K over the last 4 weeks, versus $119K in the prior period. DTC response rates tracked spend closely.", "nativeValue": "Social spend for Brivora rose 10% to $131K over the last 4 weeks, versus $119K in the prior period. DTC response rates tracked spend closely."}
+        ],
+        [
+          {"value": "Cendral", "formattedValue": "Cendral", "nativeValue": "Cendral"},
+          {"value": "DTC", "formattedValue": "DTC", "nativeValue": "DTC"},
+          {"value": "TV", "formattedValue": "TV", "nativeValue": "TV"},
+          {"value": "Jul 28, 2025 - Aug 24, 2025", "formattedValue": "Jul 28, 2025 - Aug 24, 2025", "nativeValue": "Jul 28, 2025 - Aug 24, 2025"},
+          {"value": 588000, "formattedValue": "$588K", "nativeValue": 588000},
+          {"value": 701000, "formattedValue": "$701K", "nativeValue": 701000},
+          {"value": "TV spend for Cendral fell 16% to $588K over the last 4 weeks, versus $701K in the prior period. DTC response rates tracked spend closely.", "formattedValue": "TV spend for Cendral fell 16% to $588K over the last 4 weeks, versus $701K in the prior period. DTC response rates tracked spend closely.", "nativeValue": "TV spend for Cendral fell 16% to $588K over the last 4 weeks, versus $701K in the prior period. DTC response rates tracked spend closely."}
+        ],
+        [
+          {"value": "Dynexa", "formattedValue": "Dynexa", "nativeValue": "Dynexa"},
+          {"value": "DTC", "formattedValue": "DTC", "nativeValue": "DTC"},
+          {"value": "Digital", "formattedValue": "Digital", "nativeValue": "Digital"},
+          {"value": "Jul 28, 2025 - Aug 24, 2025", "formattedValue": "Jul 28, 2025 - Aug 24, 2025", "nativeValue": "Jul 28, 2025 - Aug 24, 2025"},
+          {"value": 262000, "formattedValue": "$262K", "nativeValue": 262000},
+          {"value": 201000, "formattedValue": "$201K", "nativeValue": 201000},
+          {"value": "Digital spend for Dynexa rose 30% to $262K over the last 4 weeks, versus $201K in the prior period. DTC response rates tracked spend closely.", "formattedValue": "Digital spend for Dynexa rose 30% to $262K over the last 4 weeks, versus $201K in the prior period. DTC response rates tracked spend closely.", "nativeValue": "Digital spend for Dynexa rose 30% to $262K over the last 4 weeks, versus $201K in the prior period. DTC response rates tracked spend closely."}
+        ],
+        [
+          {"value": "Elvanto", "formattedValue": "Elvanto", "nativeValue": "Elvanto"},
+          {"value": "HCP", "formattedValue": "HCP", "nativeValue": "HCP"},
+          {"value": "Digital", "formattedValue": "Digital", "nativeValue": "Digital"},
+          {"value": "Jul 28, 2025 - Aug 24, 2025", "formattedValue": "Jul 28, 2025 - Aug 24, 2025", "nativeValue": "Jul 28, 2025 - Aug 24, 2025"},
+          {"value": 139000, "formattedValue": "$139K", "nativeValue": 139000},
+          {"value": 142000, "formattedValue": "$142K", "nativeValue": 142000},
+          {"value": "Digital spend for Elvanto fell 2% to $139K over the last 4 weeks, versus $142K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "formattedValue": "Digital spend for Elvanto fell 2% to $139K over the last 4 weeks, versus $142K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "nativeValue": "Digital spend for Elvanto fell 2% to $139K over the last 4 weeks, versus $142K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels"}
+        ]
+      ]
+    },
+    "Last 13 weeks": {
+      "columns": [
+        {"fieldName": "Brand", "dataType": "string", "index": 0},
+        {"fieldName": "Hcp Dtc Identifier", "dataType": "string", "index": 1},
+        {"fieldName": "Source", "dataType": "string", "index": 2},
+        {"fieldName": "Current Period Date Range", "dataType": "string", "index": 3},
+        {"fieldName": "Current Period Spend", "dataType": "float", "index": 4},
+        {"fieldName": "Prior Period Spend", "dataType": "float", "index": 5},
+        {"fieldName": "AI Insight", "dataType": "string", "index": 6}
+      ],
+      "data": [
+        [
+          {"value": "Alpha", "formattedValue": "Alpha", "nativeValue": "Alpha"},
+          {"value": "DTC", "formattedValue": "DTC", "nativeValue": "DTC"},
+          {"value": "TV", "formattedValue": "TV", "nativeValue": "TV"},
+          {"value": "May 26, 2025 - Aug 24, 2025", "formattedValue": "May 26, 2025 - Aug 24, 2025", "nativeValue": "May 26, 2025 - Aug 24, 2025"},
+          {"value": 1420000, "formattedValue": "$1.4M", "nativeValue": 1420000},
+          {"value": 1268000, "formattedValue": "$1.3M", "nativeValue": 1268000},
+          {"value": "TV spend for Alpha rose 12% to $1.4M over the last 13 weeks, versus $1.3M in the prior period. DTC response rates tracked spend closely.", "formattedValue": "TV spend for Alpha rose 12% to $1.4M over the last 13 weeks, versus $1.3M in the prior period. DTC response rates tracked spend closely.", "nativeValue": "TV spend for Alpha rose 12% to $1.4M over the last 13 weeks, versus $1.3M in the prior period. DTC response rates tracked spend closely."}
+        ],
+        [
+          {"value": "Alpha", "formattedValue": "Alpha", "nativeValue": "Alpha"},
+          {"value": "HCP", "formattedValue": "HCP", "nativeValue": "HCP"},
+          {"value": "Digital", "formattedValue": "Digital", "nativeValue": "Digital"},
+          {"value": "May 26, 2025 - Aug 24, 2025", "formattedValue": "May 26, 2025 - Aug 24, 2025", "nativeValue": "May 26, 2025 - Aug 24, 2025"},
+          {"value": 612000, "formattedValue": "$612K", "nativeValue": 612000},
+          {"value": 655000, "formattedValue": "$655K", "nativeValue": 655000},
+          {"value": "Digital spend for Alpha fell 7% to $612K over the last 13 weeks, versus $655K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "formattedValue": "Digital spend for Alpha fell 7% to $612K over the last 13 weeks, versus $655K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "nativeValue": "Digital spend for Alpha fell 7% to $612K over the last 13 weeks, versus $655K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels"}
+        ],
+        [
+          {"value": "Brivora", "formattedValue": "Brivora", "nativeValue": "Brivora"},
+          {"value": "DTC", "formattedValue": "DTC", "nativeValue": "DTC"},
+          {"value": "Social", "formattedValue": "Social", "nativeValue": "Social"},
+          {"value": "May 26, 2025 - Aug 24, 2025", "formattedValue": "May 26, 2025 - Aug 24, 2025", "nativeValue": "May 26, 2025 - Aug 24, 2025"},
+          {"value": 388000, "formattedValue": "$388K", "nativeValue": 388000},
+          {"value": 301000, "formattedValue": "$301K", "nativeValue": 301000},
+          {"value": "Social spend for Brivora rose 29% to $388K over the last 13 weeks, versus $301K in the prior period. DTC response rates tracked spend closely.", "formattedValue": "Social spend for Brivora rose 29% to $388K over the last 13 weeks, versus $301K in the prior period. DTC response rates tracked spend closely.", "nativeValue": "Social spend for Brivora rose 29% to $388K over the last 13 weeks, versus $301K in the prior period. DTC response rates tracked spend closely."}
+        ],
+        [
+          {"value": "Brivora", "formattedValue": "Brivora", "nativeValue": "Brivora"},
+          {"value": "HCP", "formattedValue": "HCP", "nativeValue": "HCP"},
+          {"value": "Search", "formattedValue": "Search", "nativeValue": "Search"},
+          {"value": "May 26, 2025 - Aug 24, 2025", "formattedValue": "May 26, 2025 - Aug 24, 2025", "nativeValue": "May 26, 2025 - Aug 24, 2025"},
+          {"value": 244000, "formattedValue": "$244K", "nativeValue": 244000},
+          {"value": 240000, "formattedValue": "$240K", "nativeValue": 240000},
+          {"value": "Search spend for Brivora rose 2% to $244K over the last 13 weeks, versus $240K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "formattedValue": "Search spend for Brivora rose 2% to $244K over the last 13 weeks, versus $240K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "nativeValue": "Search spend for Brivora rose 2% to $244K over the last 13 weeks, versus $240K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels"}
+        ],
+        [
+          {"value": "Cendral", "formattedValue": "Cendral", "nativeValue": "Cendral"},
+          {"value": "DTC", "formattedValue": "DTC", "nativeValue": "DTC"},
+          {"value": "TV", "formattedValue": "TV", "nativeValue": "TV"},
+          {"value": "May 26, 2025 - Aug 24, 2025", "formattedValue": "May 26, 2025 - Aug 24, 2025", "nativeValue": "May 26, 2025 - Aug 24, 2025"},
+          {"value": 2030000, "formattedValue": "$2.0M", "nativeValue": 2030000},
+          {"value": 2210000, "formattedValue": "$2.2M", "nativeValue": 2210000},
+          {"value": "TV spend for Cendral fell 8% to $2.0M over the last 13 weeks, versus $2.2M in the prior period. DTC response rates tracked spend closely.", "formattedValue": "TV spend for Cendral fell 8% to $2.0M over the last 13 weeks, versus $2.2M in the prior period. DTC response rates tracked spend closely.", "nativeValue": "TV spend for Cendral fell 8% to $2.0M over the last 13 weeks, versus $2.2M in the prior period. DTC response rates tracked spend closely."}
+        ],
+        [
+          {"value": "Cendral", "formattedValue": "Cendral", "nativeValue": "Cendral"},
+          {"value": "HCP", "formattedValue": "HCP", "nativeValue": "HCP"},
+          {"value": "Print", "formattedValue": "Print", "nativeValue": "Print"},
+          {"value": "May 26, 2025 - Aug 24, 2025", "formattedValue": "May 26, 2025 - Aug 24, 2025", "nativeValue": "May 26, 2025 - Aug 24, 2025"},
+          {"value": 97000, "formattedValue": "$97K", "nativeValue": 97000},
+          {"value": 121000, "formattedValue": "$121K", "nativeValue": 121000},
+          {"value": "Print spend for Cendral fell 20% to $97K over the last 13 weeks, versus $121K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "formattedValue": "Print spend for Cendral fell 20% to $97K over the last 13 weeks, versus $121K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "nativeValue": "Print spend for Cendral fell 20% to $97K over the last 13 weeks, versus $121K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels"}
+        ],
+        [
+          {"value": "Dynexa", "formattedValue": "Dynexa", "nativeValue": "Dynexa"},
+          {"value": "DTC", "formattedValue": "DTC", "nativeValue": "DTC"},
+          {"value": "Digital", "formattedValue": "Digital", "nativeValue": "Digital"},
+          {"value": "May 26, 2025 - Aug 24, 2025", "formattedValue": "May 26, 2025 - Aug 24, 2025", "nativeValue": "May 26, 2025 - Aug 24, 2025"},
+          {"value": 731000, "formattedValue": "$731K", "nativeValue": 731000},
+          {"value": 590000, "formattedValue": "$590K", "nativeValue": 590000},
+          {"value": "Digital spend for Dynexa rose 24% to $731K over the last 13 weeks, versus $590K in the prior period. DTC response rates tracked spend closely.", "formattedValue": "Digital spend for Dynexa rose 24% to $731K over the last 13 weeks, versus $590K in the prior period. DTC response rates tracked spend closely.", "nativeValue": "Digital spend for Dynexa rose 24% to $731K over the last 13 weeks, versus $590K in the prior period. DTC response rates tracked spend closely."}
+        ],
+        [
+          {"value": "Elvanto", "formattedValue": "Elvanto", "nativeValue": "Elvanto"},
+          {"value": "HCP", "formattedValue": "HCP", "nativeValue": "HCP"},
+          {"value": "Digital", "formattedValue": "Digital", "nativeValue": "Digital"},
+          {"value": "May 26, 2025 - Aug 24, 2025", "formattedValue": "May 26, 2025 - Aug 24, 2025", "nativeValue": "May 26, 2025 - Aug 24, 2025"},
+          {"value": 455000, "formattedValue": "$455K", "nativeValue": 455000},
+          {"value": 512000, "formattedValue": "$512K", "nativeValue": 512000},
+          {"value": "Digital spend for Elvanto fell 11% to $455K over the last 13 weeks, versus $512K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "formattedValue": "Digital spend for Elvanto fell 11% to $455K over the last 13 weeks, versus $512K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels", "nativeValue": "Digital spend for Elvanto fell 11% to $455K over the last 13 weeks, versus $512K in the prior period.\n\n**Next steps**\n- HCP reach held steady\n- Consider shifting budget toward the *highest-converting* channels"}
+        ]
+      ]
+    }
+  }
+};
+
+// Hostile insight texts for checking that insight text is never parsed as
+// HTML. test/hostile.test.js renders each one and checks that it shows
+// verbatim and nothing executes; index.html?demo=hostile shows them in
+// place of the fixture's insights for a look in a real browser.
+const DEMO_HOSTILE_INSIGHTS = [
+  "<img src=x onerror=\"alert('img onerror')\"> Spend rose 12% to $1.4M.",
+  "<script>alert('script tag')</script> DTC fell 5%.",
+  "\"><svg onload=alert('svg onload')> Search up 3 bps.",
+  "<a href=\"javascript:alert('js link')\">Click</a> for $2.1M detail.",
+  "<iframe srcdoc=\"<script>parent.alert('srcdoc')</script>\"></iframe> 7%",
+  "$3.4M </span><span onclick=\"alert('span break-out')\">7 bps",
+  "&lt;b&gt;escaped&lt;/b&gt; & raw <b>bold</b> 1,250 units",
+  "<style>body { display: none; }</style> Budget held at £900K.",
+  "<details open ontoggle=alert('ontoggle')> 15% lift",
+  "{{constructor.constructor('alert(1)')()}} 40% of spend",
+];
@@ -0,0 +1,159 @@
+// ---------------------------------------------
+// Demo mode
+// Used when index.html is opened directly in a browser (or with ?demo in
+// the URL). Installs the Extensions API mock (tableau-mock.js) loaded with
+// the fixture from demo-data.js, so the normal subscription and refresh
+// pipeline runs. A control bar simulates filter and parameter changes.
+// ---------------------------------------------
+
+const DEMO_TITLE_TEXT = "AI Insights demo. Use the controls to simulate changes...";
+const DEMO_LATENCY_MS = 400;             // pretend summary data takes a moment
+const DEMO_ALL_VALUES = "";              // filter value meaning "(All)"
+
+// Set once the mock is installed (no dialogs; print view uses a window)
+let demoModeActive = false;
+
+// DOM helpers
+const demoBarEl = () => document.getElementById("demo-bar");
+
+// Same checks the Extensions API makes before it can initialize: no
+// Tableau Desktop dispatcher, and not hosted in an iframe or dialog window
+function isOutsideTableau() {
+  if (typeof tableau === "undefined" || !tableau.extensions) return true;
+  return !window.__tableauDesktopDispatcher &&
+    window.self === window.top &&
+    !window.opener;
+}
+
+function isDemoRequested() {
+  return new URLSearchParams(window.location.search).has("demo");
+}
+
+// ?demo=hostile swaps the insight texts for DEMO_HOSTILE_INSIGHTS
+function isHostileDemoRequested() {
+  return new URLSearchParams(window.location.search).get("demo") === "hostile";
+}
+
+function withHostileInsights(table) {
+  const idx = table.columns.findIndex(c => c.fieldName === DEMO_FIXTURE.insightField);
+  return {
+    columns: table.columns,
+    data: table.data.map((row, i) => {
+      const text = DEMO_HOSTILE_INSIGHTS[i % DEMO_HOSTILE_INSIGHTS.length];
+      const copy = row.slice();
+      copy[idx] = { value: text, formattedValue: text, nativeValue: text };
+      return copy;
+    }),
+  };
+}
+
+function startDemoMode() {
+  titleText = DEMO_TITLE_TEXT;
+  demoModeActive = true;
+  window.tableau = createDemoTableau();
+  log(`Demo mode: ${DEMO_FIXTURE.dashboardName}`);
+
+  initializeExtension();
+  buildDemoBar();
+}
+
+// Mock whose insights worksheet serves the fixture table for the
+// current value of the date range parameter
+function createDemoTableau() {
+  const paramName = DEMO_FIXTURE.parameter.name;
+  const currentTable = ({ parameters }) => {
+    const param = parameters.find(p => p.name === paramName);
+    const table = DEMO_FIXTURE.summaryData[param.currentValue.value];
+    return isHostileDemoRequested() ? withHostileInsights(table) : table;
+  };
+
+  return createTableauMock({
+    dashboardName: DEMO_FIXTURE.dashboardName,
+    worksheets: [{ name: DEMO_FIXTURE.worksheetName, getData: currentTable }],
+    parameters: [DEMO_FIXTURE.parameter],
+    settings: demoSettings(),
+    latencyMs: DEMO_LATENCY_MS,
+  });
+}
+
+// ?endpoint=<url> generates the insights with the HTTP provider
+// (e.g. against insight-stub-server.js); ?provider=rules writes them
+// from the spend columns; ?chat=<url> turns on the Ask panel
+function demoSettings() {
+  const params = new URLSearchParams(window.location.search);
+  const settings = {};
+  const endpoint = params.get("endpoint");
+  if (endpoint) {
+    settings[SETTING_KEYS.insightProvider] = INSIGHT_PROVIDERS.http;
+    settings[SETTING_KEYS.insightEndpoint] = endpoint;
+  } else if (params.get("provider") === INSIGHT_PROVIDERS.rules) {
+    settings[SETTING_KEYS.insightProvider] = INSIGHT_PROVIDERS.rules;
+  }
+  const chat = params.get("chat");
+  if (chat) settings[SETTING_KEYS.chatEndpoint] = chat;
+  return settings;
+}
+
+// ---------------------------------------------
+// Control bar
+// ---------------------------------------------
+async function buildDemoBar() {
+  const bar = demoBarEl();
+  if (!bar) return;
+
+  const demoDashboard = tableau.extensions.dashboardContent.dashboard;
+  const params = await demoDashboard.getParametersAsync();
+  const param = params.find(p => p.name === DEMO_FIXTURE.parameter.name);
+  const sheet = demoDashboard.worksheets.find(
+    ws => ws.name === DEMO_FIXTURE.worksheetName
+  );
+  const field = DEMO_FIXTURE.filterField;
+
+  const paramSelect = demoSelect(DEMO_FIXTURE.parameter.values, param.currentValue.value);
+  paramSelect.addEventListener("change", () => {
+    log(`Demo: setting ${param.name} = ${paramSelect.value}`);
+    param.changeValueAsync(paramSelect.value);
+  });
+
+  const filterSelect = demoSelect(demoFilterValues(), DEMO_ALL_VALUES, "(All)");
+  filterSelect.addEventListener("change", () => {
+    const value = filterSelect.value;
+    log(`Demo: filtering ${field} = ${value || "(All)"}`);
+    if (value === DEMO_ALL_VALUES) {
+      sheet.clearFilterAsync(field);
+    } else {
+      sheet.applyFilterAsync(field, [value], tableau.FilterUpdateType.Replace);
+    }
+  });
+
+  bar.innerHTML = "";
+  bar.appendChild(demoLabel("Demo mode"));
+  bar.appendChild(demoLabel(param.name, paramSelect));
+  bar.appendChild(demoLabel(field, filterSelect));
+  bar.style.display = "flex";
+}
+
+function demoSelect(values, selected, allLabel) {
+  const select = document.createElement("select");
+  if (allLabel !== undefined) select.appendChild(new Option(allLabel, DEMO_ALL_VALUES));
+  values.forEach(value => select.appendChild(new Option(value, value)));
+  select.value = selected;
+  return select;
+}
+
+function demoLabel(text, control) {
+  const label = document.createElement("label");
+  label.textContent = text;
+  if (control) label.appendChild(control);
+  return label;
+}
+
+// Distinct values of the filter field across all fixture periods
+function demoFilterValues() {
+  const values = new Set();
+  Object.values(DEMO_FIXTURE.summaryData).forEach(table => {
+    const idx = table.columns.findIndex(c => c.fieldName === DEMO_FIXTURE.filterField);
+    table.data.forEach(row => values.add(row[idx].formattedValue));
+  });
+  return Array.from(values).sort();
+}
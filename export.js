@@ -0,0 +1,247 @@
+// ---------------------------------------------
+// Export
+// Serializes the cards currently shown (after search / quick filters) to
+// Markdown, CSV or a plain-text email body, together with the filter and
+// parameter state that produced them. Each can be downloaded as a file or
+// copied to the clipboard, or laid out as a print-ready report.
+// ---------------------------------------------
+
+const EXPORT_FILE_PREFIX = "ai-insights";
+const EXPORT_DISCLAIMER = "AI-generated insights. AI can make mistakes — use with discretion.";
+
+const PRINT_VIEW_URL = "print.html";
+const PRINT_DIALOG_SIZE = { height: 800, width: 900 };
+
+// Spreadsheets run a cell starting with one of these as a formula, so
+// insight text or a feedback comment like "=HYPERLINK(…)" gets a leading '
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+const EXPORT_FORMATS = {
+  markdown: { extension: "md", mimeType: "text/markdown", serialize: insightsToMarkdown },
+  csv: { extension: "csv", mimeType: "text/csv", serialize: insightsToCsv },
+  email: { extension: "txt", mimeType: "text/plain", serialize: insightsToEmail },
+};
+
+// DOM helpers
+const exportButtonEl = () => document.getElementById("export-button");
+const exportMenuEl = () => document.getElementById("export-menu");
+
+document.addEventListener("DOMContentLoaded", () => {
+  const button = exportButtonEl();
+  const menu = exportMenuEl();
+  if (!button || !menu) return;
+
+  button.addEventListener("click", () => {
+    menu.hidden = !menu.hidden;
+  });
+  menu.querySelectorAll("button[data-format]").forEach(item => {
+    item.addEventListener("click", () => {
+      menu.hidden = true;
+      exportInsights(item.dataset.format, item.dataset.action);
+    });
+  });
+  menu.querySelectorAll("button[data-feedback]").forEach(item => {
+    item.addEventListener("click", () => {
+      menu.hidden = true;
+      exportFeedback(item.dataset.feedback);
+    });
+  });
+  menu.querySelectorAll("button[data-print]").forEach(item => {
+    item.addEventListener("click", () => {
+      menu.hidden = true;
+      openPrintView();
+    });
+  });
+  document.addEventListener("click", event => {
+    if (!event.target.closest(".export")) menu.hidden = true;
+  });
+});
+
+async function exportInsights(formatName, action) {
+  const format = EXPORT_FORMATS[formatName];
+  if (!format) return;
+
+  try {
+    const snapshot = collectExportSnapshot();
+    const text = format.serialize(snapshot);
+    if (action === "copy") {
+      await copyToClipboard(text);
+      log(`Copied ${snapshot.insights.length} insights as ${formatName}.`);
+    } else {
+      downloadText(text, exportFileName(snapshot, format.extension), format.mimeType);
+      log(`Downloaded ${snapshot.insights.length} insights as ${formatName}.`);
+    }
+  } catch (err) {
+    log(`Export failed: ${err.message || err}`);
+  }
+}
+
+// Everything an export needs. The selection is the one recorded by the
+// refresh that rendered the cards, not whatever is applied right now.
+function collectExportSnapshot() {
+  return {
+    dashboardName: dashboard ? dashboard.name : "",
+    exportedAt: new Date(),
+    context: selectionContext,
+    insights: renderedCards.filter(({ card }) => !card.hidden).map(({ insight }) => insight),
+  };
+}
+
+function exportFileName(snapshot, extension) {
+  return `${EXPORT_FILE_PREFIX}-${fileTimestamp(snapshot.exportedAt)}.${extension}`;
+}
+
+// "2024-05-01-09-30" (UTC), for file names
+function fileTimestamp(date) {
+  return date.toISOString().slice(0, 16).replace(/[:T]/g, "-");
+}
+
+// ---------------------------------------------
+// Serializers
+// ---------------------------------------------
+function insightsToMarkdown({ dashboardName, exportedAt, context, insights }) {
+  const lines = [`# AI Insights${dashboardName ? ` — ${dashboardName}` : ""}`, ""];
+  lines.push(`_Exported ${exportedAt.toLocaleString()}_`, "");
+  if (context.length) lines.push(`**Selection:** ${formatSelectionContext(context)}`, "");
+
+  insights.forEach(insight => {
+    lines.push(`## ${insight.title.value || "—"}`, "");
+    const meta = insight.badges.map(badge => badge.value);
+    if (insight.dateRange) meta.push(insight.dateRange);
+    if (meta.length) lines.push(`_${meta.join(" · ")}_`, "");
+    lines.push(insight.text || "_No data_", "");
+  });
+
+  lines.push("---", "", `_${EXPORT_DISCLAIMER}_`, "");
+  return lines.join("\n");
+}
+
+function insightsToCsv({ context, insights }) {
+  // Badge columns are named after their fields, in first-seen order
+  const badgeFields = [];
+  insights.forEach(insight => insight.badges.forEach(({ field }) => {
+    if (badgeFields.indexOf(field) === -1) badgeFields.push(field);
+  }));
+  const titleField = (insights.find(i => i.title.field) || { title: { field: "Title" } }).title.field;
+
+  const header = [titleField].concat(badgeFields, ["Date Range", "Insight", "Selection"]);
+  const selection = formatSelectionContext(context);
+  const rows = insights.map(insight => [insight.title.value]
+    .concat(badgeFields.map(field => {
+      const badge = insight.badges.find(b => b.field === field);
+      return badge ? badge.value : "";
+    }))
+    .concat([insight.dateRange, insight.text, selection])
+  );
+
+  return [header].concat(rows).map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function csvCell(value) {
+  let text = String(value === undefined || value === null ? "" : value);
+  if (CSV_FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function insightsToEmail({ dashboardName, exportedAt, context, insights }) {
+  const lines = ["Hi,", ""];
+  lines.push(
+    `Here are the current AI insights${dashboardName ? ` from "${dashboardName}"` : ""} ` +
+    `(${exportedAt.toLocaleString()}).`
+  );
+  if (context.length) lines.push(`Selection: ${formatSelectionContext(context)}`);
+  lines.push("");
+
+  insights.forEach((insight, idx) => {
+    const meta = insight.badges.map(badge => badge.value);
+    if (insight.dateRange) meta.push(insight.dateRange);
+    lines.push(`${idx + 1}. ${(insight.title.value || "—").toUpperCase()}` +
+      (meta.length ? ` (${meta.join(", ")})` : ""));
+    const body = insight.text ? markdownToPlainText(insight.text) : "No data";
+    body.split("\n").forEach(line => lines.push(`   ${line}`));
+    lines.push("");
+  });
+
+  lines.push(EXPORT_DISCLAIMER, "");
+  return lines.join("\n");
+}
+
+// ---------------------------------------------
+// Print view
+// print.html lays the report out with print CSS (one page per title), so
+// the browser's "Save as PDF" gives a shareable file. Inside Tableau it
+// opens as an extension dialog that receives the report as its payload;
+// in demo mode, where there are no dialogs, it opens in a new window that
+// reads window.pendingPrintReport from its opener.
+// ---------------------------------------------
+
+function openPrintView() {
+  const snapshot = collectExportSnapshot();
+  const report = JSON.stringify({
+    title: "AI Insights",
+    dashboardName: snapshot.dashboardName,
+    generatedAt: snapshot.exportedAt.toISOString(),
+    selection: formatSelectionContext(snapshot.context),
+    disclaimer: EXPORT_DISCLAIMER,
+    insights: snapshot.insights.map(insight => Object.assign(
+      { level: severityLevel(insight.severity) }, insight
+    )),
+  });
+
+  const url = new URL(PRINT_VIEW_URL, window.location.href).href;
+  if (demoModeActive) {
+    window.pendingPrintReport = report;
+    if (!window.open(url, "_blank")) log("Print view blocked by the browser's pop-up settings.");
+    return;
+  }
+
+  tableau.extensions.ui
+    .displayDialogAsync(url, report, PRINT_DIALOG_SIZE)
+    .then(() => log("Print view closed."))
+    .catch(err => {
+      if (err.errorCode === tableau.ErrorCodes.DialogClosedByUser) return;
+      log(`Print view error: ${err.message || err}`);
+    });
+}
+
+// ---------------------------------------------
+// Download / clipboard
+// ---------------------------------------------
+function downloadText(text, fileName, mimeType) {
+  // Excel only reads UTF-8 CSV correctly with a byte order mark
+  const prefix = mimeType === "text/csv" ? "\uFEFF" : "";
+  const blob = new Blob([prefix + text], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// The async Clipboard API needs a secure context and permission; fall
+// back to a hidden textarea + execCommand where it is missing
+async function copyToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return;
+    } catch (e) {
+      // fall through to the legacy path
+    }
+  }
+
+  const area = document.createElement("textarea");
+  area.value = text;
+  area.setAttribute("readonly", "");
+  area.style.position = "fixed";
+  area.style.opacity = "0";
+  document.body.appendChild(area);
+  area.select();
+  const ok = document.execCommand("copy");
+  area.remove();
+  if (!ok) throw new Error("Clipboard is not available.");
+}
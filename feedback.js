@@ -0,0 +1,197 @@
+// ---------------------------------------------
+// Insight feedback
+// Every card has helpful / not helpful / wrong number buttons and an
+// optional comment. Each rating is stored in IndexedDB in this browser
+// (in memory where IndexedDB is unavailable) with the card's title,
+// badges, date range, a hash of its text and the selection it was
+// produced with; the export menu downloads the log as JSON or CSV.
+// Changing the rating or adding a comment updates the card's entry.
+// ---------------------------------------------
+
+const FEEDBACK_DB_NAME = "ai-insights-feedback";
+const FEEDBACK_DB_STORE = "feedback";
+const FEEDBACK_FILE_PREFIX = "ai-insights-feedback";
+
+const FEEDBACK_RATINGS = {
+  helpful: "Helpful",
+  notHelpful: "Not helpful",
+  wrongNumber: "Wrong number",
+};
+
+let feedbackDbPromise = null;
+// Used when IndexedDB cannot be opened
+const feedbackMemory = [];
+
+// Card -> id of its feedback entry, and the card's pending save (saves
+// run one after another so quick clicks update a single entry)
+const cardFeedbackIds = new WeakMap();
+const cardFeedbackSaves = new WeakMap();
+
+// Footer with the rating buttons and comment box for one card
+function buildFeedbackControls(card, insight) {
+  const controls = document.createElement("div");
+  controls.className = "insight-feedback";
+  // Rating must not select the card's marks
+  controls.addEventListener("click", event => event.stopPropagation());
+
+  const ratingButtons = Object.keys(FEEDBACK_RATINGS).map(rating => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `feedback-rating feedback-${rating}`;
+    button.textContent = FEEDBACK_RATINGS[rating];
+    button.setAttribute("aria-pressed", "false");
+    button.addEventListener("click", () => {
+      ratingButtons.forEach(other => other.setAttribute("aria-pressed", String(other === button)));
+      commentRow.hidden = false;
+      saveCardFeedback(card, insight, { rating });
+    });
+    controls.appendChild(button);
+    return button;
+  });
+
+  const commentRow = document.createElement("div");
+  commentRow.className = "feedback-comment";
+  commentRow.hidden = true;
+
+  const comment = document.createElement("input");
+  comment.type = "text";
+  comment.placeholder = "Comment (optional)";
+  comment.setAttribute("aria-label", "Feedback comment");
+
+  const send = document.createElement("button");
+  send.type = "button";
+  send.textContent = "Save";
+  const submit = () => {
+    saveCardFeedback(card, insight, { comment: comment.value.trim() })
+      .then(() => { send.textContent = "Saved"; });
+  };
+  send.addEventListener("click", submit);
+  comment.addEventListener("keydown", event => {
+    if (event.key === "Enter") submit();
+  });
+  comment.addEventListener("input", () => { send.textContent = "Save"; });
+
+  commentRow.appendChild(comment);
+  commentRow.appendChild(send);
+  controls.appendChild(commentRow);
+  return controls;
+}
+
+function saveCardFeedback(card, insight, changes) {
+  const previous = cardFeedbackSaves.get(card) || Promise.resolve();
+  const next = previous.then(() => writeCardFeedback(card, insight, changes));
+  cardFeedbackSaves.set(card, next);
+  return next;
+}
+
+// Create the card's entry or update it with the changed fields
+async function writeCardFeedback(card, insight, changes) {
+  const id = cardFeedbackIds.get(card);
+  const entry = id === undefined
+    ? feedbackEntry(insight)
+    : Object.assign(await readFeedbackEntry(id), { updatedAt: new Date().toISOString() });
+  Object.assign(entry, changes);
+
+  try {
+    cardFeedbackIds.set(card, await writeFeedbackEntry(entry));
+    log(`Feedback for ${insight.title.value || "a card"}: ${FEEDBACK_RATINGS[entry.rating]}` +
+      (entry.comment ? " (with comment)" : ""));
+  } catch (err) {
+    log(`Could not save feedback: ${err.message || err}`);
+  }
+}
+
+function feedbackEntry(insight) {
+  const now = new Date().toISOString();
+  return {
+    recordedAt: now,
+    updatedAt: now,
+    dashboard: dashboard ? dashboard.name : "",
+    worksheet: getInsightsWorksheetName(),
+    rating: "",
+    comment: "",
+    title: insight.title.value,
+    badges: insight.badges.map(({ field, value }) => ({ field, value })),
+    dateRange: insight.dateRange,
+    textHash: hashString(insight.text),
+    context: selectionContext.slice(),
+  };
+}
+
+// ---------------------------------------------
+// Store
+// ---------------------------------------------
+function openFeedbackDb() {
+  if (!feedbackDbPromise) {
+    feedbackDbPromise = openIndexedDb(FEEDBACK_DB_NAME, FEEDBACK_DB_STORE, { keyPath: "id", autoIncrement: true });
+    feedbackDbPromise.catch(err => log(`Feedback is kept for this session only: ${err.message || err}`));
+  }
+  return feedbackDbPromise;
+}
+
+function feedbackStoreRequest(mode, makeRequest) {
+  return indexedDbRequest(openFeedbackDb(), FEEDBACK_DB_STORE, mode, makeRequest);
+}
+
+// Resolves to the entry's id
+function writeFeedbackEntry(entry) {
+  return feedbackStoreRequest("readwrite", store => store.put(entry)).catch(() => {
+    if (entry.id === undefined) entry.id = feedbackMemory.length + 1;
+    feedbackMemory[entry.id - 1] = entry;
+    return entry.id;
+  });
+}
+
+function readFeedbackEntry(id) {
+  return feedbackStoreRequest("readonly", store => store.get(id))
+    .catch(() => feedbackMemory[id - 1])
+    .then(entry => Object.assign({}, entry));
+}
+
+function readAllFeedback() {
+  return feedbackStoreRequest("readonly", store => store.getAll())
+    .catch(() => feedbackMemory.slice());
+}
+
+// ---------------------------------------------
+// Export
+// ---------------------------------------------
+const FEEDBACK_FORMATS = {
+  json: { mimeType: "application/json", serialize: entries => JSON.stringify(entries, null, 2) + "\n" },
+  csv: { mimeType: "text/csv", serialize: feedbackToCsv },
+};
+
+async function exportFeedback(formatName) {
+  const format = FEEDBACK_FORMATS[formatName];
+  if (!format) return;
+
+  try {
+    const entries = await readAllFeedback();
+    const fileName = `${FEEDBACK_FILE_PREFIX}-${fileTimestamp(new Date())}.${formatName}`;
+    downloadText(format.serialize(entries), fileName, format.mimeType);
+    log(`Downloaded ${entries.length} feedback entries as ${formatName}.`);
+  } catch (err) {
+    log(`Feedback export failed: ${err.message || err}`);
+  }
+}
+
+function feedbackToCsv(entries) {
+  const header = [
+    "Recorded At", "Updated At", "Dashboard", "Worksheet", "Rating", "Comment",
+    "Title", "Badges", "Date Range", "Text Hash", "Selection",
+  ];
+  const rows = entries.map(entry => [
+    entry.recordedAt,
+    entry.updatedAt,
+    entry.dashboard,
+    entry.worksheet,
+    FEEDBACK_RATINGS[entry.rating] || entry.rating,
+    entry.comment,
+    entry.title,
+    entry.badges.map(({ field, value }) => `${field}: ${value}`).join("; "),
+    entry.dateRange,
+    entry.textHash,
+    formatSelectionContext(entry.context),
+  ]);
+  return [header].concat(rows).map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
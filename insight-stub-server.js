@@ -0,0 +1,141 @@
+// ---------------------------------------------
+// Local stub of the HTTP insight endpoint (see providers.js for the
+// request / response schema) and of the chat endpoint (chat.js), which
+// answers on /chat. Plain Node, no dependencies:
+//
+//   node insight-stub-server.js [port] [delayMs]
+//
+// then set the extension's insight source to
+// http://localhost:8787/insights and its chat endpoint to
+// http://localhost:8787/chat (or open the demo with
+// ?demo&endpoint=http://localhost:8787/insights&chat=http://localhost:8787/chat).
+// ---------------------------------------------
+
+const http = require("http");
+
+const PORT = Number(process.argv[2]) || 8787;
+const DELAY_MS = Number(process.argv[3]) || 0;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+// Pause between the words of a streamed chat answer
+const CHAT_WORD_DELAY_MS = 40;
+
+// The extension is served from another origin
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, Object.assign({ "Content-Type": "application/json" }, CORS_HEADERS));
+  res.end(JSON.stringify(body));
+}
+
+// One short Markdown insight per row: the text values as the subject,
+// the numeric ones listed
+function stubInsights(request) {
+  const numeric = request.columns
+    .map((column, idx) => ({ column, idx }))
+    .filter(({ column }) => ["int", "float"].indexOf(column.dataType) !== -1);
+  const text = request.columns
+    .map((column, idx) => ({ column, idx }))
+    .filter(({ column }) => column.dataType === "string");
+  const selection = request.context.map(item => `${item.name}: ${item.value}`).join(", ");
+
+  return request.rows.map((row, idx) => {
+    const subject = text.slice(0, 3).map(({ idx: col }) => row[col]).filter(Boolean).join(" · ");
+    const lines = [`**${subject || `Row ${idx + 1}`}** (stub insight${selection ? ` for ${selection}` : ""})`];
+    numeric.forEach(({ column, idx: col }) => lines.push(`- ${column.fieldName}: ${row[col]}`));
+    return { row: idx, text: lines.join("\n"), severity: idx === 0 ? "high" : "" };
+  });
+}
+
+function isValidRequest(body) {
+  return body && body.version === 1 &&
+    Array.isArray(body.columns) && Array.isArray(body.rows) && Array.isArray(body.context);
+}
+
+function isValidChatRequest(body) {
+  return isValidRequest(body) && typeof body.question === "string" &&
+    Array.isArray(body.history) && Array.isArray(body.insights);
+}
+
+// A Markdown answer that echoes what the question was sent with
+function stubAnswer(request) {
+  const selection = request.context.map(item => `${item.name}: ${item.value}`).join(", ");
+  const lines = [
+    `Stub answer to: _${request.question}_`,
+    "",
+    `I was sent ${request.rows.length} rows from "${request.worksheet}", ` +
+      `${request.insights.length} visible cards and ${request.history.length} earlier messages` +
+      (selection ? `, for ${selection}.` : "."),
+  ];
+  const card = request.insights[0];
+  if (card) lines.push("", `The first card (**${card.title}**) says: ${card.text.split("\n")[0]}`);
+  return lines.join("\n");
+}
+
+// Send the answer a word at a time, like an LLM streaming its tokens
+function streamText(res, text) {
+  res.writeHead(200, Object.assign({ "Content-Type": "text/plain; charset=utf-8" }, CORS_HEADERS));
+  const words = text.split(/(?<=\s)/);
+  let idx = 0;
+  const next = () => {
+    if (idx >= words.length || res.destroyed) {
+      res.end();
+      return;
+    }
+    res.write(words[idx++]);
+    setTimeout(next, CHAT_WORD_DELAY_MS);
+  };
+  next();
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method !== "POST") {
+    sendJson(res, 405, { error: "POST the summary data as JSON." });
+    return;
+  }
+
+  let raw = "";
+  req.setEncoding("utf8");
+  req.on("data", chunk => {
+    raw += chunk;
+    if (raw.length > MAX_BODY_BYTES) req.destroy();
+  });
+  req.on("end", () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (e) {
+      sendJson(res, 400, { error: "Request body is not JSON." });
+      return;
+    }
+    if (req.url.split("?")[0] === "/chat") {
+      if (!isValidChatRequest(body)) {
+        sendJson(res, 400, { error: "Expected { version: 1, question, history, context, columns, rows, insights }." });
+        return;
+      }
+      console.log(`${new Date().toISOString()} chat: ${body.question}`);
+      setTimeout(() => streamText(res, stubAnswer(body)), DELAY_MS);
+      return;
+    }
+    if (!isValidRequest(body)) {
+      sendJson(res, 400, { error: "Expected { version: 1, context, columns, rows }." });
+      return;
+    }
+
+    console.log(`${new Date().toISOString()} ${body.rows.length} rows from "${body.worksheet}"`);
+    setTimeout(() => sendJson(res, 200, { insights: stubInsights(body) }), DELAY_MS);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Insight stub listening on http://localhost:${PORT}/insights`);
+  console.log(`Chat stub listening on http://localhost:${PORT}/chat`);
+});
@@ -0,0 +1,119 @@
+// ---------------------------------------------
+// Lightweight Markdown for insight bodies
+// Whitelist-based subset: paragraphs, "-" / "*" / "1." lists, "#" headers,
+// **bold**, *italic* and `inline code`. Output is built with DOM calls
+// only (elements + text nodes), so insight text is never parsed as HTML.
+// ---------------------------------------------
+
+const MD_HEADING = /^#{1,3}\s+(.*)$/;
+const MD_BULLET = /^\s*[-*+]\s+(.*)$/;
+const MD_ORDERED = /^\s*\d+[.)]\s+(.*)$/;
+
+// Inline spans, in priority order: code, bold, italic.
+// Underscore emphasis must not touch word characters (snake_case stays).
+const MD_INLINE = new RegExp([
+  "`([^`]+)`",
+  "\\*\\*(.+?)\\*\\*",
+  "(?<!\\w)__(.+?)__(?!\\w)",
+  "\\*([^*\\s](?:[^*]*[^*\\s])?)\\*",
+  "(?<!\\w)_([^_\\s](?:[^_]*[^_\\s])?)_(?!\\w)",
+].join("|"));
+
+// Markdown text -> DocumentFragment
+function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+    const p = document.createElement("p");
+    renderInline(p, paragraph.join(" "));
+    fragment.appendChild(p);
+    paragraph = [];
+  };
+
+  const listItem = (tag, content) => {
+    flushParagraph();
+    if (!list || list.tagName.toLowerCase() !== tag) {
+      list = document.createElement(tag);
+      fragment.appendChild(list);
+    }
+    const li = document.createElement("li");
+    renderInline(li, content);
+    list.appendChild(li);
+  };
+
+  String(text || "").split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    let m;
+
+    if (!trimmed) {
+      flushParagraph();
+      list = null;
+    } else if ((m = trimmed.match(MD_HEADING))) {
+      flushParagraph();
+      list = null;
+      const heading = document.createElement("h4");
+      heading.className = "insight-heading";
+      renderInline(heading, m[1]);
+      fragment.appendChild(heading);
+    } else if ((m = line.match(MD_BULLET))) {
+      listItem("ul", m[1]);
+    } else if ((m = line.match(MD_ORDERED))) {
+      listItem("ol", m[1]);
+    } else {
+      list = null;
+      paragraph.push(trimmed);
+    }
+  });
+  flushParagraph();
+
+  return fragment;
+}
+
+// Append text to parent, turning inline spans into code / strong / em
+function renderInline(parent, text) {
+  let rest = text;
+  let m;
+
+  while ((m = rest.match(MD_INLINE))) {
+    if (m.index > 0) {
+      parent.appendChild(document.createTextNode(rest.slice(0, m.index)));
+    }
+
+    let el;
+    if (m[1] !== undefined) {
+      el = document.createElement("code");
+      el.textContent = m[1];
+    } else if (m[2] !== undefined || m[3] !== undefined) {
+      el = document.createElement("strong");
+      renderInline(el, m[2] !== undefined ? m[2] : m[3]);
+    } else {
+      el = document.createElement("em");
+      renderInline(el, m[4] !== undefined ? m[4] : m[5]);
+    }
+    parent.appendChild(el);
+
+    rest = rest.slice(m.index + m[0].length);
+  }
+
+  if (rest) parent.appendChild(document.createTextNode(rest));
+}
+
+// Markdown text -> plain text (for exports): inline markers are dropped,
+// list items keep a "- " / "1. " prefix, blocks end with a newline
+function markdownToPlainText(text) {
+  const lines = [];
+  Array.from(renderMarkdown(text).childNodes).forEach(block => {
+    const tag = block.tagName ? block.tagName.toLowerCase() : "";
+    if (tag === "ul" || tag === "ol") {
+      Array.from(block.children).forEach((li, idx) => {
+        lines.push(`${tag === "ol" ? `${idx + 1}.` : "-"} ${li.textContent}`);
+      });
+    } else {
+      lines.push(block.textContent);
+    }
+  });
+  return lines.join("\n");
+}
@@ -0,0 +1,104 @@
+// ---------------------------------------------
+// Rule-based narratives
+// The "rules" insight provider: writes deterministic sentences from the
+// numeric columns of the summary data, so cards need no precomputed
+// insight column and no LLM. Measures come in current / previous pairs,
+// either mapped in Configure or detected by name ("Current Period Spend"
+// pairs with "Prior Period Spend" as the measure "Spend"). Each pair gives
+// one sentence from the template for its outcome (up, down, flat, or
+// single when there is nothing to compare with).
+//
+// Template placeholders: {title}, {badges}, {dateRange}, {measure},
+// {current}, {previous} (formatted as in the worksheet) and {change}
+// (percentage change, e.g. "12%"). Each measure can have its own
+// templates (see getNarrativeTemplates).
+// ---------------------------------------------
+
+const NUMERIC_DATA_TYPES = ["int", "float"];
+const CURRENT_WORDS = /\b(current|this|cur)\b/i;
+const PREVIOUS_WORDS = /\b(prior|previous|prev|last|ly)\b/i;
+const PERIOD_WORDS = /\b(current|this|cur|prior|previous|prev|last|ly|period|year|value)\b/gi;
+
+function generateNarratives(table) {
+  const { roles } = resolveColumnRoles(table.columns, getColumnMapping(), false);
+  const measures = findMeasures(table.columns, roles);
+  if (measures.length === 0) log("Narratives: no numeric columns to describe.");
+
+  const templates = new Map(measures.map(m => [m, getNarrativeTemplates(m.measure)]));
+  const insights = table.data.map(row => {
+    const values = {
+      title: cellText(row, roles.title) || "this row",
+      badges: roles.badges.map(idx => cellText(row, idx)).filter(Boolean).join(" · "),
+      dateRange: cellText(row, roles.date),
+    };
+    const sentences = measures
+      .map(measure => describeMeasure(row, measure, values, templates.get(measure)))
+      .filter(Boolean);
+    return sentences.length ? { text: sentences.join(" "), severity: "" } : null;
+  });
+
+  return Promise.resolve(withGeneratedInsights(table, insights));
+}
+
+// [{ measure, current, previous }] with column indexes (-1: no previous)
+function findMeasures(columns, roles) {
+  if (roles.current >= 0) {
+    return [{
+      measure: measureLabel(columns[roles.current].fieldName),
+      current: roles.current,
+      previous: roles.previous,
+    }];
+  }
+
+  const numeric = columns
+    .map((column, idx) => ({ name: column.fieldName, idx }))
+    .filter(({ idx }) => idx !== roles.severity)
+    .filter(({ idx }) => NUMERIC_DATA_TYPES.indexOf(columns[idx].dataType) !== -1);
+
+  const previous = numeric.filter(({ name }) => PREVIOUS_WORDS.test(name));
+  const current = numeric.filter(({ name }) => !PREVIOUS_WORDS.test(name));
+  // Without any "current" naming, every numeric column stands alone
+  const paired = current.some(({ name }) => CURRENT_WORDS.test(name));
+
+  return current.map(({ name, idx }) => {
+    const label = measureLabel(name);
+    const match = paired ? previous.find(p => measureLabel(p.name) === label) : null;
+    return { measure: label, current: idx, previous: match ? match.idx : -1 };
+  });
+}
+
+// "Current Period Spend" -> "Spend"
+function measureLabel(fieldName) {
+  const label = fieldName.replace(PERIOD_WORDS, " ").replace(/\s+/g, " ").trim();
+  return label || fieldName;
+}
+
+function describeMeasure(row, measure, values, templates) {
+  const current = row[measure.current];
+  if (!current || typeof current.value !== "number") return "";
+
+  const previous = measure.previous >= 0 ? row[measure.previous] : null;
+  const fill = Object.assign({}, values, {
+    measure: measure.measure,
+    current: current.formattedValue,
+    previous: previous ? previous.formattedValue : "",
+    change: "",
+  });
+
+  if (!previous || typeof previous.value !== "number" || previous.value === 0) {
+    return fillTemplate(templates.single, fill);
+  }
+
+  const pct = ((current.value - previous.value) / Math.abs(previous.value)) * 100;
+  const rounded = Math.abs(pct) < 1 ? Math.abs(pct).toFixed(1) : String(Math.round(Math.abs(pct)));
+  fill.change = `${rounded}%`;
+  if (Number(rounded) === 0) return fillTemplate(templates.flat, fill);
+  return fillTemplate(pct > 0 ? templates.up : templates.down, fill);
+}
+
+// Unknown placeholders are left as they are
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    (Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : match)
+  );
+}
@@ -0,0 +1,134 @@
+// ---------------------------------------------
+// Print view
+// Renders the report built by openPrintView (export.js): a header with
+// the dashboard, timestamp, filter summary and disclaimer, then one
+// section per card title, each printed on its own page.
+// ---------------------------------------------
+
+// true when opened as an extension dialog rather than a browser window
+let isDialog = false;
+
+// DOM helpers
+const reportEl = () => document.getElementById("report");
+const printStatusEl = () => document.getElementById("print-status");
+
+function setPrintStatus(message) {
+  const el = printStatusEl();
+  if (el) el.textContent = message;
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  document.getElementById("print-button").addEventListener("click", () => window.print());
+  document.getElementById("close-button").addEventListener("click", () => {
+    if (isDialog) {
+      tableau.extensions.ui.closeDialog("closed");
+    } else {
+      window.close();
+    }
+  });
+
+  loadReport()
+    .then(report => renderReport(JSON.parse(report)))
+    .catch(err => {
+      console.error("Could not load the report:", err);
+      setPrintStatus(`Could not load the report: ${err.message || err}`);
+    });
+});
+
+// Demo mode hands the report over through the opener window
+function loadReport() {
+  try {
+    if (window.opener && window.opener.pendingPrintReport) {
+      return Promise.resolve(window.opener.pendingPrintReport);
+    }
+  } catch (e) {
+    // opener from another origin; fall through to the dialog payload
+  }
+  isDialog = true;
+  return tableau.extensions.initializeDialogAsync();
+}
+
+// ---------------------------------------------
+// Rendering
+// ---------------------------------------------
+function renderReport(report) {
+  const root = reportEl();
+  root.innerHTML = "";
+
+  const generatedAt = new Date(report.generatedAt).toLocaleString();
+  const subtitle = [report.dashboardName, generatedAt].filter(Boolean).join(" · ");
+  document.title = `${report.title}${report.dashboardName ? ` — ${report.dashboardName}` : ""}`;
+
+  const header = document.createElement("header");
+  header.className = "report-header";
+  header.appendChild(textElement("h1", report.title));
+  if (report.dashboardName) header.appendChild(metaLine("Dashboard", report.dashboardName));
+  header.appendChild(metaLine("Generated", generatedAt));
+  header.appendChild(metaLine("Filters", report.selection || "None"));
+  header.appendChild(textElement("p", `⚠️ ${report.disclaimer}`, "report-disclaimer"));
+  root.appendChild(header);
+
+  if (report.insights.length === 0) {
+    root.appendChild(textElement("p", "No insights to print.", "report-meta"));
+    return;
+  }
+
+  groupByTitle(report.insights).forEach((insights, title) => {
+    const page = document.createElement("section");
+    page.className = "report-page";
+    page.appendChild(textElement("h2", title || "—"));
+    page.appendChild(textElement("div", subtitle, "report-page-meta"));
+    insights.forEach(insight => page.appendChild(buildReportCard(insight)));
+    root.appendChild(page);
+  });
+}
+
+// title value -> insights, in report order
+function groupByTitle(insights) {
+  const groups = new Map();
+  insights.forEach(insight => {
+    const key = insight.title.value;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(insight);
+  });
+  return groups;
+}
+
+function buildReportCard(insight) {
+  const card = document.createElement("article");
+  card.className = "report-card";
+  if (insight.level) card.classList.add(`severity-${insight.level}`);
+
+  const meta = insight.badges.map(badge => badge.value);
+  if (insight.dateRange) meta.push(insight.dateRange);
+  if (meta.length) {
+    const badges = document.createElement("div");
+    badges.className = "report-badges";
+    meta.forEach(value => badges.appendChild(textElement("span", value)));
+    card.appendChild(badges);
+  }
+
+  const body = document.createElement("div");
+  body.className = "report-body";
+  if (insight.text) {
+    body.appendChild(renderMarkdown(insight.text));
+  } else {
+    body.appendChild(textElement("em", "No data"));
+  }
+  card.appendChild(body);
+
+  return card;
+}
+
+function metaLine(label, value) {
+  const line = textElement("p", ` ${value}`, "report-meta");
+  line.insertBefore(textElement("strong", `${label}:`), line.firstChild);
+  return line;
+}
+
+function textElement(tag, text, className) {
+  const el = document.createElement(tag);
+  el.textContent = text;
+  if (className) el.className = className;
+  return el;
+}
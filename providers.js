@@ -0,0 +1,158 @@
+// ---------------------------------------------
+// Insight providers
+// A provider produces the card text for the insights worksheet's summary
+// data. generate(table, context) resolves to the table the cards are built
+// from, where table is { columns, data } as returned by
+// getSummaryDataAsync and context the [{ name, value }] selection.
+//
+//   worksheet  Today's behavior: the text is already in a worksheet
+//              column (see the column mapping); the table is unchanged.
+//   http       Posts the rows to a configured endpoint and adds its answer
+//              as GENERATED_INSIGHT_FIELD / GENERATED_SEVERITY_FIELD.
+//   rules      Writes sentences from the numeric columns (narrative.js)
+//              into the same generated columns.
+//
+// HTTP endpoint schema (version 1)
+//   Request:  POST, Content-Type: application/json
+//     {
+//       "version": 1,
+//       "dashboard": "Sales overview",
+//       "worksheet": "AI Insights- Estimated Spend",
+//       "context": [{ "name": "Brand", "value": "A, B" }],
+//       "columns": [{ "fieldName": "Brand", "dataType": "string" }],
+//       "rows": [["Alpha", "DTC", "1400000"]]       // formatted values
+//     }
+//   Response: 200, application/json
+//     {
+//       "insights": [
+//         { "row": 0, "text": "Markdown text", "severity": "high" }
+//       ]
+//     }
+//   "row" is the index into the request's rows; "severity" is optional.
+//   Rows without an entry show "No data". insight-stub-server.js is a
+//   local implementation for testing.
+// ---------------------------------------------
+
+const GENERATED_INSIGHT_FIELD = "Generated Insight";
+const GENERATED_SEVERITY_FIELD = "Generated Severity";
+const INSIGHT_SCHEMA_VERSION = 1;
+const INSIGHT_REQUEST_TIMEOUT_MS = 30000;
+
+// writesInsights: the provider adds the generated columns, which then
+// take the body / severity roles instead of the mapped columns
+const insightProviders = {
+  [INSIGHT_PROVIDERS.worksheet]: {
+    writesInsights: false,
+    generate: table => Promise.resolve(table),
+  },
+  [INSIGHT_PROVIDERS.http]: {
+    writesInsights: true,
+    generate: generateWithEndpoint,
+  },
+  [INSIGHT_PROVIDERS.rules]: {
+    writesInsights: true,
+    generate: generateNarratives,
+  },
+};
+
+function currentInsightProvider() {
+  return insightProviders[getInsightProvider()] || insightProviders[INSIGHT_PROVIDERS.worksheet];
+}
+
+// Identifies the provider, and the settings its output depends on, in
+// cache fingerprints: a cached table must not outlive new templates
+function insightProviderKey() {
+  const provider = getInsightProvider();
+  if (provider === INSIGHT_PROVIDERS.http) return `${provider} ${getInsightEndpoint()}`;
+  if (provider === INSIGHT_PROVIDERS.rules) {
+    const templates = getJsonSetting(SETTING_KEYS.narrativeTemplates, {});
+    return `${provider} ${hashString(JSON.stringify([templates, getColumnMapping()]))}`;
+  }
+  return provider;
+}
+
+// Copy of the table with generated text / severity columns appended.
+// insights has one { text, severity } (or null) per row.
+function withGeneratedInsights(table, insights) {
+  const cell = value => ({ value, formattedValue: value, nativeValue: value });
+  const columns = table.columns.concat([GENERATED_INSIGHT_FIELD, GENERATED_SEVERITY_FIELD].map(
+    (fieldName, i) => ({ fieldName, dataType: "string", index: table.columns.length + i })
+  ));
+  const data = table.data.map((row, idx) => {
+    const insight = insights[idx] || { text: "", severity: "" };
+    return row.concat([cell(insight.text), cell(insight.severity)]);
+  });
+  return { columns, data };
+}
+
+// ---------------------------------------------
+// HTTP endpoint
+// ---------------------------------------------
+async function generateWithEndpoint(table, context) {
+  const endpoint = getInsightEndpoint();
+  if (!endpoint) throw new Error("No insight endpoint configured.");
+
+  log(`Requesting insights for ${table.data.length} rows from ${endpoint}…`);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), INSIGHT_REQUEST_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(buildInsightRequest(table, context)),
+      signal: controller.signal,
+    });
+  } catch (err) {
+    throw new Error(err.name === "AbortError"
+      ? `Insight endpoint did not answer within ${INSIGHT_REQUEST_TIMEOUT_MS / 1000}s.`
+      : `Insight endpoint unreachable: ${err.message || err}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) throw new Error(`Insight endpoint returned HTTP ${response.status}.`);
+  let payload;
+  try {
+    payload = await response.json();
+  } catch (e) {
+    throw new Error("Insight endpoint did not return JSON.");
+  }
+  return withGeneratedInsights(table, parseInsightResponse(payload, table.data.length));
+}
+
+function buildInsightRequest(table, context) {
+  return {
+    version: INSIGHT_SCHEMA_VERSION,
+    dashboard: dashboard ? dashboard.name : "",
+    worksheet: getInsightsWorksheetName(),
+    context,
+    columns: table.columns.map(c => ({ fieldName: c.fieldName, dataType: c.dataType })),
+    rows: table.data.map(row => row.map(cell => cell.formattedValue)),
+  };
+}
+
+// One { text, severity } or null per row; malformed entries are skipped
+function parseInsightResponse(payload, rowCount) {
+  if (!payload || !Array.isArray(payload.insights)) {
+    throw new Error('Insight endpoint response has no "insights" array.');
+  }
+
+  const insights = new Array(rowCount).fill(null);
+  let skipped = 0;
+  payload.insights.forEach(item => {
+    const valid = item && Number.isInteger(item.row) && item.row >= 0 &&
+      item.row < rowCount && typeof item.text === "string";
+    if (!valid) {
+      skipped++;
+      return;
+    }
+    insights[item.row] = {
+      text: item.text,
+      severity: typeof item.severity === "string" ? item.severity : "",
+    };
+  });
+
+  if (skipped) log(`Ignored ${skipped} malformed insight(s) from the endpoint.`);
+  return insights;
+}
@@ -1,297 +1,1356 @@
-// ---------------------------------------------
-// Configuration
-// ---------------------------------------------
-
-// Worksheet with the insights data
-const INSIGHTS_WORKSHEET_NAME = "AI Insights- Estimated Spend";
-
-// Parameter that should also refresh insights
-const DATE_RANGE_PARAM_NAME = "Date Range Selector";
-
-// Typing / loading behaviour
-const TITLE_TEXT = "AI Insights ready. Listening for filter changes...";
-const STATUS_LOADING_TEXT = "Updating insights for your current selection…";
-const CARD_TYPING_SPEED_MS = 15;         // letter speed for card text
-const INITIAL_FADE_DELAY_MS = 800;       // first splash screen delay
-
-let dashboard = null;
-let isRefreshing = false;
-
-// DOM helpers
-const statusEl = () => document.getElementById("status-text");
-const logEl = () => document.getElementById("log");
-const insightsTableEl = () => document.getElementById("insights-table");
-
-// ---------------------------------------------
-// Utility: logging
-// ---------------------------------------------
-function log(message) {
-  console.log("[AI Insights Extension]", message);
-  const el = logEl();
-  if (!el) return;
-  const time = new Date().toISOString().substr(11, 8);
-  el.textContent += `[${time}] ${message}\n`;
-}
-
-// Simple typewriter for a single element's textContent
-function typeText(element, text, speed = 30) {
-  if (!element) return;
-  element.textContent = "";
-  let i = 0;
-  const timer = setInterval(() => {
-    element.textContent += text[i];
-    i++;
-    if (i >= text.length) {
-      clearInterval(timer);
-    }
-  }, speed);
-}
-
-// Highlight numeric values (applied AFTER typing finishes)
-function highlightNumbers(text) {
-  if (!text) return "";
-
-  // Optional currency symbol ($/£/€), then number with optional commas/decimals,
-  // then optional unit (K, M, %, bps)
-  const numberRegex = /([$£€]?\d[\d.,]*\s*(?:K|M|%|bps)?)/g;
-
-  return text.replace(numberRegex, '<span class="insight-number">$1</span>');
-}
-// Animate one card body: type text, then bold numbers
-function animateCardBody(element, fullText) {
-  if (!element) return;
-  element.textContent = "";
-  if (!fullText) return;
-
-  let i = 0;
-  const chars = fullText.split("");
-  const timer = setInterval(() => {
-    element.textContent += chars[i];
-    i++;
-    if (i >= chars.length) {
-      clearInterval(timer);
-      // After typing completes, apply number highlighting
-      element.innerHTML = highlightNumbers(element.textContent);
-    }
-  }, CARD_TYPING_SPEED_MS);
-}
-
-// ---------------------------------------------
-// Initialization
-// ---------------------------------------------
-document.addEventListener("DOMContentLoaded", () => {
-  const loadingScreen = document.getElementById("loading-screen");
-  const insightsScreen = document.getElementById("insights-screen");
-
-  // First splash: 0.8s, then show extension UI
-  setTimeout(() => {
-    if (loadingScreen) loadingScreen.style.display = "none";
-    if (insightsScreen) {
-      insightsScreen.style.display = "block";
-      insightsScreen.classList.add("show");
-      typeText(statusEl(), TITLE_TEXT);
-    }
-  }, INITIAL_FADE_DELAY_MS);
-
-  // Try initializing Tableau Extensions API
-  try {
-    tableau.extensions.initializeAsync().then(() => {
-      dashboard = tableau.extensions.dashboardContent.dashboard;
-      log(`Dashboard: ${dashboard.name}`);
-
-      subscribeToFilterChanges();
-      subscribeToDateRangeParameter();
-
-      // Initial load
-      refreshInsights();
-    }).catch(err => {
-      console.error("Failed to initialize Tableau Extension:", err);
-      const s = statusEl();
-      if (s) s.textContent = "AI Insights extension failed to initialize.";
-      log(`Init failed: ${err.message || err}`);
-    });
-  } catch (e) {
-    // This branch is only hit when opened directly in a browser, not in Tableau
-    console.warn("Tableau Extensions API not available; demo mode.", e);
-    const s = statusEl();
-    if (s) s.textContent = "Running outside Tableau (demo mode).";
-    log("Tableau Extensions API not found. Logic disabled.");
-  }
-});
-
-// ---------------------------------------------
-// Subscriptions
-// ---------------------------------------------
-function subscribeToFilterChanges() {
-  if (!dashboard) return;
-  dashboard.worksheets.forEach(ws => {
-    if (ws.name === INSIGHTS_WORKSHEET_NAME) {
-      ws.addEventListener(
-        tableau.TableauEventType.FilterChanged,
-        () => onSomethingChanged("filter", ws.name)
-      );
-      log(`Subscribed to FilterChanged on ${ws.name}`);
-    }
-  });
-}
-
-function subscribeToDateRangeParameter() {
-  if (!dashboard) return;
-  dashboard.getParametersAsync().then(params => {
-    const dateParam = params.find(p => p.name === DATE_RANGE_PARAM_NAME);
-    if (!dateParam) {
-      log(`Parameter "${DATE_RANGE_PARAM_NAME}" not found (optional).`);
-      return;
-    }
-    dateParam.addEventListener(
-      tableau.TableauEventType.ParameterChanged,
-      () => onSomethingChanged("parameter", dateParam.name)
-    );
-    log(`Subscribed to ParameterChanged on "${dateParam.name}"`);
-  }).catch(err => {
-    log(`Error subscribing to parameters: ${err.message || err}`);
-  });
-}
-
-// Unified handler for any change
-function onSomethingChanged(type, name) {
-  log(`${type} changed: ${name}`);
-  if (isRefreshing) {
-    log("Refresh already in progress; skipping.");
-    return;
-  }
-  handleRefresh();
-}
-
-async function handleRefresh() {
-  isRefreshing = true;
-
-  const s = statusEl();
-  if (s) s.textContent = STATUS_LOADING_TEXT;
-
-  try {
-    await refreshInsights();
-    // After data is rendered, re-type the title
-    typeText(statusEl(), TITLE_TEXT);
-  } catch (err) {
-    log(`Error refreshing insights: ${err.message || err}`);
-    if (s) s.textContent = "Error updating insights (see log).";
-  } finally {
-    isRefreshing = false;
-  }
-}
-
-// ---------------------------------------------
-// Data & rendering
-// ---------------------------------------------
-async function refreshInsights() {
-  if (!dashboard) return;
-  const container = insightsTableEl();
-  if (!container) return;
-
-  const sheet = dashboard.worksheets.find(
-    ws => ws.name === INSIGHTS_WORKSHEET_NAME
-  );
-
-  if (!sheet) {
-    log(`Worksheet "${INSIGHTS_WORKSHEET_NAME}" not found.`);
-    container.innerHTML =
-      `<em>Insights worksheet "${INSIGHTS_WORKSHEET_NAME}" not found.</em>`;
-    return;
-  }
-
-  log(`Fetching summary data from "${INSIGHTS_WORKSHEET_NAME}"…`);
-  const dataTable = await sheet.getSummaryDataAsync();
-  const cols = dataTable.columns;
-  const rows = dataTable.data;
-
-  renderInsightsCards(cols, rows);
-}
-
-function renderInsightsCards(columns, rows) {
-  const container = insightsTableEl();
-  if (!container) return;
-
-  container.innerHTML = "";
-
-  if (!rows || rows.length === 0) {
-    container.innerHTML = "<em>No insights for the current selection.</em>";
-    return;
-  }
-
-  // Map the key columns we care about
-  const idxBrand = columns.findIndex(c => c.fieldName === "Brand");
-  const idxHcpDtc = columns.findIndex(
-    c => c.fieldName === "Hcp Dtc Identifier"
-  );
-  const idxSource = columns.findIndex(c => c.fieldName === "Source");
-  const idxDate = columns.findIndex(
-    c => c.fieldName === "Current Period Date Range"
-  );
-  // Adjust this if your insight text field has a slightly different name
-  const idxInsight = columns.findIndex(
-    c => c.fieldName.indexOf("Insight") !== -1
-  );
-
-  const grid = document.createElement("div");
-  grid.className = "insights-grid";
-
-  rows.forEach(row => {
-    const brand = idxBrand >= 0 ? row[idxBrand].formattedValue : "";
-    const hcpDtc = idxHcpDtc >= 0 ? row[idxHcpDtc].formattedValue : "";
-    const source = idxSource >= 0 ? row[idxSource].formattedValue : "";
-    const dateRange = idxDate >= 0 ? row[idxDate].formattedValue : "";
-    const insightText =
-      idxInsight >= 0 ? row[idxInsight].formattedValue : "";
-
-    const card = document.createElement("div");
-    card.className = "insight-card";
-
-    const header = document.createElement("div");
-    header.className = "insight-card-header";
-
-    const brandEl = document.createElement("div");
-    brandEl.className = "insight-brand";
-    brandEl.textContent = brand || "—";
-
-    header.appendChild(brandEl);
-
-    if (hcpDtc) {
-      const badge = document.createElement("span");
-      badge.className = "insight-badge";
-      badge.textContent = hcpDtc;
-      header.appendChild(badge);
-    }
-
-    if (source) {
-      const badge = document.createElement("span");
-      badge.className = "insight-badge";
-      badge.textContent = source;
-      header.appendChild(badge);
-    }
-
-    const dateEl = document.createElement("div");
-    dateEl.className = "insight-date";
-    dateEl.textContent = dateRange || "";
-
-    const body = document.createElement("div");
-    body.className = "insight-body";
-
-    card.appendChild(header);
-    if (dateRange) card.appendChild(dateEl);
-    card.appendChild(body);
-
-    grid.appendChild(card);
-
-    // Animate the insight text per card
-    if (insightText) {
-      animateCardBody(body, insightText);
-    } else {
-      body.innerHTML = "<em>No data</em>";
-    }
-  });
-
-  container.appendChild(grid);
-}
-
-
+// ---------------------------------------------
+// Configuration
+// ---------------------------------------------
+
+// Worksheet / parameter names come from saved settings (see settings.js)
+
+// Typing / loading behaviour
+const TITLE_TEXT = "AI Insights ready. Listening for filter changes...";
+const STATUS_LOADING_TEXT = "Updating insights for your current selection…";
+const CARD_TYPING_SPEED_MS = 15;         // letter speed for card text
+const INITIAL_FADE_DELAY_MS = 800;       // first splash screen delay
+const REFRESH_DEBOUNCE_MS = 300;         // quiet window before refreshing
+
+// Configure dialog
+const CONFIGURE_DIALOG_URL = "configure.html";
+const CONFIGURE_DIALOG_SIZE = { height: 760, width: 580 };
+
+let dashboard = null;
+let isRefreshing = false;
+
+// Title typed into the status line once insights are shown
+let titleText = TITLE_TEXT;
+
+// Refresh scheduling: bursts of change events are coalesced, and a change
+// that arrives during a refresh queues one trailing refresh
+let refreshTimer = null;
+let refreshQueued = false;
+let latestRequestId = 0;                 // bumped on every change
+
+// Unregister functions for the current event subscriptions
+let unsubscribers = [];
+
+// { card, insight } for every card currently rendered
+let renderedCards = [];
+
+// Worksheet name -> selected values of the card title field (e.g. Brand).
+// Only used when the MarkSelectionChanged trigger is enabled.
+let markSelections = new Map();
+
+// [{ name, value }] filters / parameter values behind the current cards
+let selectionContext = [];
+
+// { columns, data } behind the current cards (sent with chat questions)
+let currentSummaryTable = null;
+
+// DOM helpers
+const statusEl = () => document.getElementById("status-text");
+const logEl = () => document.getElementById("log");
+const insightsTableEl = () => document.getElementById("insights-table");
+const skipButtonEl = () => document.getElementById("skip-animation");
+const mappingWarningEl = () => document.getElementById("mapping-warning");
+const filterChipsEl = () => document.getElementById("filter-chips");
+const contextStripEl = () => document.getElementById("context-strip");
+
+// ---------------------------------------------
+// Utility: logging
+// ---------------------------------------------
+function log(message) {
+  console.log("[AI Insights Extension]", message);
+  const el = logEl();
+  if (!el) return;
+  const time = new Date().toISOString().substr(11, 8);
+  el.textContent += `[${time}] ${message}\n`;
+}
+
+// ---------------------------------------------
+// Animation controller
+// Every typing animation is registered here, so a re-render or a status
+// change can cancel the ones it replaces and "Skip animation" can finish
+// all cards at once.
+// ---------------------------------------------
+
+// element -> { timer, finish, skippable }
+const runningAnimations = new Map();
+
+// Blocks hidden until typing reaches them, so empty bullets and
+// paragraphs don't show ahead of the text
+const TYPING_BLOCKS = "p, ul, ol, li, h4";
+
+// Type text into an element one character at a time. Starting a new
+// animation on an element cancels the one already running there.
+function startTyping(element, text, options) {
+  if (!element) return;
+  cancelTyping(element);
+  element.textContent = text || "";
+  startTypingContent(element, options);
+}
+
+// Re-type the content already inside an element: every text node is
+// emptied, then filled again in document order.
+function startTypingContent(element, { speed = 30, onDone, skippable = false } = {}) {
+  if (!element) return;
+  cancelTyping(element);
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    if (walker.currentNode.nodeValue) nodes.push(walker.currentNode);
+  }
+  if (nodes.length === 0) return;
+
+  const texts = nodes.map(node => node.nodeValue);
+  const blocks = Array.from(element.querySelectorAll(TYPING_BLOCKS));
+  nodes.forEach(node => { node.nodeValue = ""; });
+  blocks.forEach(block => { block.hidden = true; });
+
+  // Unhide the blocks around a text node once typing reaches it
+  const reveal = node => {
+    for (let el = node.parentNode; el && el !== element; el = el.parentNode) {
+      el.hidden = false;
+    }
+  };
+
+  let nodeIdx = 0;
+  let charIdx = 0;
+  const finish = () => {
+    clearInterval(animation.timer);
+    runningAnimations.delete(element);
+    nodes.forEach((node, idx) => { node.nodeValue = texts[idx]; });
+    blocks.forEach(block => { block.hidden = false; });
+    if (onDone) onDone();
+    updateSkipButton();
+  };
+  const animation = { finish, skippable };
+  animation.timer = setInterval(() => {
+    const node = nodes[nodeIdx];
+    if (charIdx === 0) reveal(node);
+    node.nodeValue += texts[nodeIdx][charIdx];
+    charIdx++;
+    if (charIdx >= texts[nodeIdx].length) {
+      nodeIdx++;
+      charIdx = 0;
+    }
+    if (nodeIdx >= nodes.length) finish();
+  }, speed);
+
+  runningAnimations.set(element, animation);
+  updateSkipButton();
+}
+
+// Stop an element's animation, leaving whatever was typed so far
+function cancelTyping(element) {
+  const animation = runningAnimations.get(element);
+  if (!animation) return;
+  clearInterval(animation.timer);
+  runningAnimations.delete(element);
+  updateSkipButton();
+}
+
+// Stop every animation inside a container (before it is re-rendered)
+function cancelAnimationsWithin(container) {
+  Array.from(runningAnimations.keys())
+    .filter(element => container.contains(element))
+    .forEach(cancelTyping);
+}
+
+// Instantly complete every skippable (card) animation
+function skipAnimations() {
+  const skippable = Array.from(runningAnimations.values())
+    .filter(animation => animation.skippable);
+  skippable.forEach(animation => animation.finish());
+  if (skippable.length) log(`Skipped ${skippable.length} card animation(s).`);
+}
+
+function updateSkipButton() {
+  const button = skipButtonEl();
+  if (!button) return;
+  const anySkippable = Array.from(runningAnimations.values())
+    .some(animation => animation.skippable);
+  button.style.display = anySkippable ? "inline-block" : "none";
+}
+
+// Simple typewriter for a single element's textContent
+function typeText(element, text, speed = 30) {
+  startTyping(element, text, { speed });
+}
+
+// Set the status line immediately, cancelling any title typing
+function setStatus(text) {
+  const s = statusEl();
+  if (!s) return;
+  cancelTyping(s);
+  s.textContent = text;
+}
+
+// Optional currency symbol ($/£/€), then number with optional commas/decimals,
+// then optional unit (K, M, %, bps). A letter after K/M/bps makes it a word,
+// not a unit: "3 Markets", "2 Key accounts".
+const NUMBER_REGEX = /[$£€]?\d[\d.,]*\s*(?:(?:K|M|bps)(?![A-Za-z])|%)?/g;
+
+// Highlight numeric values (applied AFTER typing finishes).
+// Splits the element's text nodes into text + span.insight-number nodes;
+// insight text is never parsed as HTML. Inline code is left as typed.
+function highlightNumbers(element) {
+  wrapTextMatches(element, NUMBER_REGEX, () => {
+    const span = document.createElement("span");
+    span.className = "insight-number";
+    return span;
+  });
+}
+
+// Wrap every match of a global regex in the element's text nodes with a
+// new element from makeWrapper(). Text inside inline code is skipped.
+function wrapTextMatches(element, regex, makeWrapper) {
+  if (!element) return;
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentNode.closest("code")) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+
+  textNodes.forEach(node => {
+    const text = node.nodeValue;
+    const matches = Array.from(text.matchAll(regex)).filter(m => m[0]);
+    if (matches.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    matches.forEach(match => {
+      if (match.index > last) {
+        fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+      }
+      const wrapper = makeWrapper();
+      wrapper.textContent = match[0];
+      fragment.appendChild(wrapper);
+      last = match.index + match[0].length;
+    });
+    if (last < text.length) {
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+    }
+    node.parentNode.replaceChild(fragment, node);
+  });
+}
+// Animate one card body: render the Markdown, type it, then bold numbers
+function animateCardBody(element, fullText) {
+  if (!element) return;
+  element.textContent = "";
+  element.appendChild(renderMarkdown(fullText));
+  startTypingContent(element, {
+    speed: CARD_TYPING_SPEED_MS,
+    skippable: true,
+    // After typing completes, apply number highlighting
+    onDone: () => {
+      highlightNumbers(element);
+      verifyNumbers(element);
+    },
+  });
+}
+
+// ---------------------------------------------
+// Initialization
+// ---------------------------------------------
+document.addEventListener("DOMContentLoaded", () => {
+  const loadingScreen = document.getElementById("loading-screen");
+  const insightsScreen = document.getElementById("insights-screen");
+
+  const skipButton = skipButtonEl();
+  if (skipButton) skipButton.addEventListener("click", skipAnimations);
+
+  // First splash: 0.8s, then show extension UI
+  setTimeout(() => {
+    if (loadingScreen) loadingScreen.style.display = "none";
+    if (insightsScreen) {
+      insightsScreen.style.display = "block";
+      insightsScreen.classList.add("show");
+      typeText(statusEl(), titleText);
+    }
+  }, INITIAL_FADE_DELAY_MS);
+
+  // Opened directly in a browser (or with ?demo): run against the fixture
+  if (isDemoRequested() || isOutsideTableau()) {
+    startDemoMode();
+    return;
+  }
+
+  initializeExtension();
+});
+
+function initializeExtension() {
+  // Try initializing Tableau Extensions API
+  try {
+    tableau.extensions.initializeAsync({ configure: openConfigureDialog }).then(() => {
+      dashboard = tableau.extensions.dashboardContent.dashboard;
+      log(`Dashboard: ${dashboard.name}`);
+
+      subscribeAll();
+
+      // Initial load
+      handleRefresh({ quiet: true });
+    }).catch(err => {
+      console.error("Failed to initialize Tableau Extension:", err);
+      setStatus("AI Insights extension failed to initialize.");
+      log(`Init failed: ${err.message || err}`);
+    });
+  } catch (e) {
+    // This branch is only hit when the Extensions API failed to load
+    console.warn("Tableau Extensions API not available; demo mode.", e);
+    log("Tableau Extensions API not found.");
+    startDemoMode();
+  }
+}
+
+// ---------------------------------------------
+// Configure dialog
+// ---------------------------------------------
+function openConfigureDialog() {
+  const url = new URL(CONFIGURE_DIALOG_URL, window.location.href).href;
+  tableau.extensions.ui
+    .displayDialogAsync(url, "", CONFIGURE_DIALOG_SIZE)
+    .then(closePayload => {
+      log(`Configure dialog closed: ${closePayload}`);
+      if (closePayload === "saved") applySettings();
+    })
+    .catch(err => {
+      // Closing the dialog with the X button rejects with DialogClosedByUser
+      if (err.errorCode === tableau.ErrorCodes.DialogClosedByUser) {
+        log("Configure dialog closed without saving.");
+        return;
+      }
+      log(`Configure dialog error: ${err.message || err}`);
+    });
+}
+
+// Re-subscribe and reload after the saved settings changed
+function applySettings() {
+  unsubscribeAll();
+  subscribeAll();
+  scheduleRefresh();
+}
+
+// ---------------------------------------------
+// Subscriptions
+// ---------------------------------------------
+function subscribeAll() {
+  subscribeToFilterChanges();
+  subscribeToParameters();
+  if (isMarkSelectionTriggerEnabled()) subscribeToMarkSelection();
+  if (isSummaryDataTriggerEnabled() || isCacheEnabled()) subscribeToSummaryData();
+}
+
+function unsubscribeAll() {
+  unsubscribers.forEach(unregister => unregister());
+  unsubscribers = [];
+  markSelections = new Map();
+}
+
+// Names of the worksheets whose filters refresh the insights
+function filterScopeWorksheetNames() {
+  switch (getFilterScope()) {
+    case FILTER_SCOPES.all:
+      return dashboard.worksheets.map(ws => ws.name);
+    case FILTER_SCOPES.selected:
+      return getFilterWorksheets();
+    default:
+      return [getInsightsWorksheetName()];
+  }
+}
+
+function subscribeToFilterChanges() {
+  if (!dashboard) return;
+  const names = filterScopeWorksheetNames();
+  dashboard.worksheets.forEach(ws => {
+    if (names.indexOf(ws.name) !== -1) {
+      unsubscribers.push(ws.addEventListener(
+        tableau.TableauEventType.FilterChanged,
+        () => onSomethingChanged("filter", ws.name)
+      ));
+      log(`Subscribed to FilterChanged on ${ws.name}`);
+    }
+  });
+  names
+    .filter(name => !dashboard.worksheets.some(ws => ws.name === name))
+    .forEach(name => log(`Worksheet "${name}" not found; not listening to its filters.`));
+}
+
+function subscribeToParameters() {
+  if (!dashboard) return;
+  const allParams = getParameterScope() === PARAMETER_SCOPES.all;
+  const paramName = getDateRangeParamName();
+  if (!allParams && !paramName) {
+    log("No date range parameter configured.");
+    return;
+  }
+  dashboard.getParametersAsync().then(params => {
+    const watched = allParams ? params : params.filter(p => p.name === paramName);
+    if (!allParams && watched.length === 0) {
+      log(`Parameter "${paramName}" not found (optional).`);
+      return;
+    }
+    watched.forEach(param => {
+      unsubscribers.push(param.addEventListener(
+        tableau.TableauEventType.ParameterChanged,
+        () => onSomethingChanged("parameter", param.name)
+      ));
+      log(`Subscribed to ParameterChanged on "${param.name}"`);
+    });
+  }).catch(err => {
+    log(`Error subscribing to parameters: ${err.message || err}`);
+  });
+}
+
+// Mark selection uses the same worksheets as the filter scope
+function subscribeToMarkSelection() {
+  if (!dashboard) return;
+  const names = filterScopeWorksheetNames();
+  dashboard.worksheets.forEach(ws => {
+    if (names.indexOf(ws.name) === -1) return;
+    unsubscribers.push(ws.addEventListener(
+      tableau.TableauEventType.MarkSelectionChanged,
+      event => {
+        event.getMarksAsync().then(marks => {
+          if (isLinkedSelectionEvent(ws.name, marks)) return;
+          updateMarkSelection(ws.name, marks);
+          onSomethingChanged("selection", ws.name);
+        }, err => {
+          log(`Error reading selected marks: ${err.message || err}`);
+          onSomethingChanged("selection", ws.name);
+        });
+      }
+    ));
+    log(`Subscribed to MarkSelectionChanged on ${ws.name}`);
+  });
+}
+
+function subscribeToSummaryData() {
+  if (!dashboard) return;
+  const worksheetName = getInsightsWorksheetName();
+  const sheet = dashboard.worksheets.find(ws => ws.name === worksheetName);
+  if (!sheet) return;
+  // A data source refresh makes every cached table stale
+  unsubscribers.push(sheet.addEventListener(
+    tableau.TableauEventType.SummaryDataChanged,
+    () => {
+      clearSummaryCache();
+      if (isSummaryDataTriggerEnabled()) onSomethingChanged("summary data", sheet.name);
+    }
+  ));
+  log(`Subscribed to SummaryDataChanged on ${sheet.name}`);
+}
+
+// Remember which card titles are selected on a worksheet
+function updateMarkSelection(worksheetName, marks) {
+  const titleField = getColumnMapping().title;
+  const values = new Set();
+
+  marks.data.forEach(table => {
+    const idx = table.columns.findIndex(c => c.fieldName === titleField);
+    if (idx === -1) return;
+    table.data.forEach(row => values.add(row[idx].formattedValue));
+  });
+
+  if (values.size) {
+    markSelections.set(worksheetName, values);
+  } else {
+    markSelections.delete(worksheetName);
+  }
+}
+
+// Keep only rows whose title is selected on some worksheet
+function filterRowsBySelection(columns, rows) {
+  if (markSelections.size === 0) return rows;
+
+  const idx = columns.findIndex(c => c.fieldName === getColumnMapping().title);
+  if (idx === -1) return rows;
+
+  const selected = new Set();
+  markSelections.forEach(values => values.forEach(v => selected.add(v)));
+  const kept = rows.filter(row => selected.has(row[idx].formattedValue));
+  log(`Showing ${kept.length} of ${rows.length} insights for the selected marks.`);
+  return kept;
+}
+
+// Unified handler for any change
+function onSomethingChanged(type, name) {
+  log(`${type} changed: ${name}`);
+  scheduleRefresh();
+}
+
+// Wait for a quiet window, then refresh once. If a refresh is still
+// running, queue a single trailing refresh so the final state always wins.
+function scheduleRefresh() {
+  latestRequestId++;
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    if (isRefreshing) {
+      log("Refresh in progress; queued a trailing refresh.");
+      refreshQueued = true;
+      return;
+    }
+    handleRefresh();
+  }, REFRESH_DEBOUNCE_MS);
+}
+
+// quiet: leave the status line alone (used for the initial load)
+async function handleRefresh({ quiet = false } = {}) {
+  isRefreshing = true;
+  const requestId = latestRequestId;
+
+  if (!quiet) setStatus(STATUS_LOADING_TEXT);
+
+  try {
+    const rendered = await refreshInsights(requestId);
+    // After data is rendered, re-type the title. A superseded refresh
+    // keeps the loading status; the newer one will finish the job.
+    if (rendered && !quiet) typeText(statusEl(), titleText);
+  } catch (err) {
+    log(`Error refreshing insights: ${err.message || err}`);
+    setStatus("Error updating insights (see log).");
+  } finally {
+    isRefreshing = false;
+    if (refreshQueued) {
+      refreshQueued = false;
+      handleRefresh();
+    }
+  }
+}
+
+// True when a change arrived after the refresh with this id started
+function isSuperseded(requestId) {
+  return requestId !== latestRequestId;
+}
+
+// ---------------------------------------------
+// Data & rendering
+// ---------------------------------------------
+// Returns true when cards were rendered, false when there was nothing to
+// do or the results were discarded because a newer change superseded them
+async function refreshInsights(requestId = latestRequestId) {
+  if (!dashboard) return false;
+  const container = insightsTableEl();
+  if (!container) return false;
+
+  const worksheetName = getInsightsWorksheetName();
+  const sheet = dashboard.worksheets.find(ws => ws.name === worksheetName);
+
+  if (!sheet) {
+    log(`Worksheet "${worksheetName}" not found.`);
+    cancelAnimationsWithin(container);
+    forgetRenderedCards();
+    currentSummaryTable = null;
+    container.innerHTML = "";
+    const msg = document.createElement("em");
+    msg.textContent =
+      `Insights worksheet "${worksheetName}" not found. ` +
+      "Use Configure to pick a worksheet.";
+    container.appendChild(msg);
+    return true;
+  }
+
+  const selection = await readSelectionState(sheet).catch(err => {
+    log(`Could not read filters / parameters: ${err.message || err}`);
+    return null;
+  });
+  const context = selection ? describeSelection(selection) : [];
+  const fingerprint = selection && isCacheEnabled()
+    ? selectionFingerprint(
+      `${worksheetName} ${insightProviderKey()}`,
+      selection.filters,
+      selection.parameters
+    )
+    : null;
+
+  let dataTable = fingerprint ? await getCachedTable(fingerprint) : null;
+  const fromCache = dataTable !== null;
+  if (fromCache) {
+    log(`Using cached summary data from "${worksheetName}".`);
+  } else {
+    log(`Fetching summary data from "${worksheetName}"…`);
+    const summary = await sheet.getSummaryDataAsync();
+    // Don't ask the provider for insights nobody will see
+    if (isSuperseded(requestId)) {
+      log("Discarding results of a superseded refresh.");
+      return false;
+    }
+    dataTable = await currentInsightProvider().generate(
+      { columns: summary.columns, data: summary.data },
+      context
+    );
+  }
+  const cols = dataTable.columns;
+  const rows = filterRowsBySelection(cols, dataTable.data);
+
+  if (isSuperseded(requestId)) {
+    log("Discarding results of a superseded refresh.");
+    return false;
+  }
+
+  // Only a refresh nothing has overtaken is known to match its fingerprint
+  if (fingerprint && !fromCache) cacheTable(fingerprint, dataTable);
+
+  await loadValidationFigures();
+  if (isSuperseded(requestId)) {
+    log("Discarding results of a superseded refresh.");
+    return false;
+  }
+
+  selectionContext = context;
+  currentSummaryTable = { columns: cols, data: rows };
+  log(`Selection: ${formatSelectionContext(selectionContext) || "no filters"}`);
+  renderContextStrip();
+  updateChatAvailability();
+  renderInsightsCards(cols, rows, { instant: fromCache });
+  // Kept cards are checked against the validation values just read
+  verifyRenderedNumbers();
+  return true;
+}
+
+// ---------------------------------------------
+// Selection context: the filters and parameter values behind the cards
+// ---------------------------------------------
+const CONTEXT_SEPARATOR = " • ";
+
+// The insights worksheet's filters and every parameter, as Tableau
+// returns them (also the input of the cache fingerprint)
+async function readSelectionState(sheet) {
+  const [filters, parameters] = await Promise.all([
+    sheet.getFiltersAsync(),
+    dashboard.getParametersAsync(),
+  ]);
+  return { filters, parameters };
+}
+
+// [{ name, value }] for the filters and the date range parameter, as
+// readable strings
+function describeSelection({ filters, parameters }) {
+  const items = [];
+  filters.forEach(filter => {
+    const value = describeFilter(filter);
+    if (value) items.push({ name: filter.fieldName, value });
+  });
+
+  const paramName = getDateRangeParamName();
+  const param = paramName && parameters.find(p => p.name === paramName);
+  if (param) items.push({ name: param.name, value: param.currentValue.formattedValue });
+
+  return items;
+}
+
+// Readable value of a filter; "" when it doesn't narrow anything
+function describeFilter(filter) {
+  switch (filter.filterType) {
+    case "categorical": {
+      if (filter.isAllSelected) return "";
+      const values = (filter.appliedValues || []).map(v => v.formattedValue).join(", ");
+      if (filter.isExcludeMode) return values ? `all except ${values}` : "";
+      return values || "(none)";
+    }
+    case "hierarchical":
+      if (filter.isAllSelected) return "";
+      return (filter.appliedValues || []).map(v => v.value.formattedValue).join(", ") || "(none)";
+    case "range":
+      return [filter.minValue, filter.maxValue]
+        .map(v => (v ? v.formattedValue : "…"))
+        .join(" – ");
+    case "relative-date":
+      return `${filter.rangeType} ${filter.rangeN || ""} ${filter.periodType}`.replace(/\s+/g, " ");
+    default:
+      return `${filter.filterType} filter`;
+  }
+}
+
+function formatSelectionContext(items) {
+  return items.map(item => `${item.name}: ${item.value}`).join(CONTEXT_SEPARATOR);
+}
+
+// One chip per filter / parameter above the cards
+function renderContextStrip() {
+  const strip = contextStripEl();
+  if (!strip) return;
+  strip.innerHTML = "";
+
+  const label = document.createElement("span");
+  label.className = "context-label";
+  label.textContent = selectionContext.length ? "Showing:" : "Showing: all data (no filters)";
+  strip.appendChild(label);
+
+  selectionContext.forEach(item => {
+    const chip = document.createElement("span");
+    chip.className = "context-chip";
+    chip.title = `${item.name}: ${item.value}`;
+
+    const name = document.createElement("span");
+    name.className = "context-chip-name";
+    name.textContent = `${item.name}:`;
+    chip.appendChild(name);
+    chip.appendChild(document.createTextNode(` ${item.value}`));
+
+    strip.appendChild(chip);
+  });
+
+  strip.style.display = "flex";
+}
+
+// ---------------------------------------------
+// Column mapping
+// ---------------------------------------------
+
+// Used to find the insight text when no body column is mapped
+const INSIGHT_FIELD_HINT = "Insight";
+
+// Values of the severity column, grouped into the levels we style
+const SEVERITY_LEVELS = {
+  high: ["high", "critical", "severe"],
+  medium: ["medium", "moderate", "warning"],
+  low: ["low", "minor", "info"],
+};
+
+// The column mapping, with the body (and, unless mapped, severity) role
+// taken over by the generated columns when the insight provider adds them
+function effectiveColumnMapping() {
+  const mapping = getColumnMapping();
+  if (!currentInsightProvider().writesInsights) return mapping;
+  return Object.assign(mapping, {
+    body: GENERATED_INSIGHT_FIELD,
+    severity: mapping.severity || GENERATED_SEVERITY_FIELD,
+  });
+}
+
+// Turn the column mapping into column indexes for this data table.
+// Missing fields are reported when the mapping was saved by an author;
+// the built-in defaults are allowed to not match.
+function resolveColumnRoles(columns, mapping, strict) {
+  const names = columns.map(c => c.fieldName);
+  const warnings = [];
+
+  const find = (role, name) => {
+    if (!name) return -1;
+    const idx = names.indexOf(name);
+    if (idx === -1 && strict) {
+      warnings.push(`Mapped ${role} field "${name}" is not in the worksheet.`);
+    }
+    return idx;
+  };
+
+  const roles = {
+    title: find("title", mapping.title),
+    badges: (mapping.badges || [])
+      .map(name => find("badge", name))
+      .filter(idx => idx >= 0),
+    date: find("date", mapping.date),
+    severity: find("severity", mapping.severity),
+    sort: find("sort", mapping.sort),
+    current: find("current value", mapping.current),
+    previous: find("previous value", mapping.previous),
+    body: -1,
+  };
+
+  if (mapping.body) {
+    roles.body = find("body", mapping.body);
+  } else {
+    const candidates = names.filter(n => n.indexOf(INSIGHT_FIELD_HINT) !== -1);
+    roles.body = names.indexOf(candidates[0]);
+    if (candidates.length > 1) {
+      warnings.push(
+        `Several fields contain "${INSIGHT_FIELD_HINT}" ` +
+        `(${candidates.join(", ")}); using "${candidates[0]}". ` +
+        "Map the body field in Configure."
+      );
+    }
+  }
+
+  return { roles, warnings };
+}
+
+function showMappingWarnings(warnings) {
+  warnings.forEach(w => log(`Column mapping: ${w}`));
+  const el = mappingWarningEl();
+  if (!el) return;
+  el.textContent = warnings.join(" ");
+  el.style.display = warnings.length ? "block" : "none";
+}
+
+function cellText(row, idx) {
+  return idx >= 0 && row[idx] ? row[idx].formattedValue : "";
+}
+
+// Compare two cells, numerically when both hold numbers
+function compareCells(a, b) {
+  if (typeof a.value === "number" && typeof b.value === "number") {
+    return a.value - b.value;
+  }
+  return String(a.formattedValue).localeCompare(String(b.formattedValue));
+}
+
+function severityLevel(text) {
+  const value = String(text || "").trim().toLowerCase();
+  return Object.keys(SEVERITY_LEVELS).find(
+    level => SEVERITY_LEVELS[level].indexOf(value) !== -1
+  ) || "";
+}
+
+// One card's content, read from a summary-data row through the roles
+function toInsight(row, roles, columns) {
+  const field = idx => (idx >= 0 ? columns[idx].fieldName : "");
+  return {
+    title: { field: field(roles.title), value: cellText(row, roles.title) },
+    badges: roles.badges
+      .map(idx => ({ field: field(idx), value: cellText(row, idx) }))
+      .filter(badge => badge.value),
+    dateRange: cellText(row, roles.date),
+    severity: cellText(row, roles.severity),
+    text: cellText(row, roles.body),
+    // Numeric cells the quoted numbers are checked against (verify.js)
+    figures: numericCells(row, columns),
+  };
+}
+
+// ---------------------------------------------
+// Incremental rendering: rows are hashed so an unchanged table is not
+// rendered again, and cards whose row is unchanged are kept as they are
+// ---------------------------------------------
+
+let lastRenderHash = "";
+let lastRenderSettings = "";
+
+// Card key -> { card, insight, hash } for the cards on screen
+let cardIndex = new Map();
+
+// 32-bit FNV-1a, as hex
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+function rowHash(row) {
+  return hashString(JSON.stringify(row.map(cell => cell.formattedValue)));
+}
+
+// Settings that change how the same rows are turned into cards
+function renderSettingsKey() {
+  return JSON.stringify([
+    effectiveColumnMapping(),
+    getGroupByField(),
+    getSortOrder(),
+    getSortDirection(),
+    getMarkLinkingMode(),
+    getActionWorksheets(),
+  ]);
+}
+
+// A card is identified by its title and badge values (e.g. Brand, Hcp
+// Dtc Identifier, Source); repeats get a suffix
+function cardKey(insight) {
+  let key = JSON.stringify([insight.title.value].concat(insight.badges.map(b => b.value)));
+  while (cardIndex.has(key)) key += "+";
+  return key;
+}
+
+function forgetRenderedCards() {
+  lastRenderHash = "";
+  cardIndex = new Map();
+}
+
+function markCardUpdated(card, updated) {
+  card.classList.toggle("updated", updated);
+  const label = card.querySelector(".insight-updated");
+  if (updated && !label) {
+    const el = document.createElement("span");
+    el.className = "insight-updated";
+    el.textContent = "Updated";
+    card.querySelector(".insight-card-header").appendChild(el);
+  } else if (!updated && label) {
+    label.remove();
+  }
+}
+
+// ---------------------------------------------
+// Cards
+// ---------------------------------------------
+
+// instant: fill the cards in at once (e.g. restored from the cache)
+function renderInsightsCards(columns, rows, { instant = false } = {}) {
+  const container = insightsTableEl();
+  if (!container) return;
+
+  const settingsKey = renderSettingsKey();
+  const tableHash = hashString(settingsKey + JSON.stringify(columns.map(c => c.fieldName)) +
+    (rows || []).map(rowHash).join(","));
+  if (tableHash === lastRenderHash) {
+    log("Summary data unchanged; keeping the current cards.");
+    return;
+  }
+
+  // Cards still typing are rebuilt rather than kept half-typed
+  const previousCards = settingsKey === lastRenderSettings
+    ? new Map(Array.from(cardIndex).filter(([, entry]) =>
+      !runningAnimations.has(entry.card.querySelector(".insight-body"))))
+    : new Map();
+  lastRenderHash = tableHash;
+  lastRenderSettings = settingsKey;
+  rememberComparisonBase();
+  cardIndex = new Map();
+
+  cancelAnimationsWithin(container);
+  container.innerHTML = "";
+  const wasLinked = linkedCard;
+  linkedCard = null;
+  renderedCards = [];
+
+  const { roles, warnings } = resolveColumnRoles(
+    columns,
+    effectiveColumnMapping(),
+    isColumnMappingSaved()
+  );
+  const groupField = getGroupByField();
+  const groupIdx = columns.findIndex(c => c.fieldName === groupField);
+  if (groupField && groupIdx === -1) {
+    warnings.push(`Group-by field "${groupField}" is not in the worksheet.`);
+  }
+  showMappingWarnings(warnings);
+
+  if (!rows || rows.length === 0) {
+    container.innerHTML = "<em>No insights for the current selection.</em>";
+    if (comparisonMode) applyComparison();
+    refreshSearchToolbar();
+    return;
+  }
+
+  rows = sortRows(rows, roles);
+
+  if (groupIdx === -1) {
+    container.appendChild(buildCardGrid(rows, roles, columns, { instant, previousCards }));
+  } else {
+    const collapsed = getCollapsedGroups();
+    groupRows(rows, groupIdx).forEach(({ name, rows: groupRowsList }) => {
+      container.appendChild(buildGroup(
+        name,
+        buildCardGrid(groupRowsList, roles, columns, {
+          instant: instant || collapsed.indexOf(name) !== -1,
+          previousCards,
+        }),
+        groupRowsList.length,
+        collapsed.indexOf(name) !== -1
+      ));
+    });
+  }
+
+  if (renderedCards.some(({ card }) => card === wasLinked)) linkedCard = wasLinked;
+  if (comparisonMode) applyComparison();
+  refreshSearchToolbar();
+}
+
+// Cards for a list of rows. A card whose row is unchanged since the last
+// render is moved over as it is; one whose row changed is rebuilt and
+// marked "updated". Instant cards (a collapsed group, or restored from
+// the cache) and cards rendered while a search is active are filled in
+// without the typing animation.
+function buildCardGrid(rows, roles, columns, { instant = false, previousCards = new Map() } = {}) {
+  const grid = document.createElement("div");
+  grid.className = "insights-grid";
+
+  rows.forEach(row => {
+    const insight = toInsight(row, roles, columns);
+    const key = cardKey(insight);
+    const hash = rowHash(row);
+    const previous = previousCards.get(key);
+
+    if (previous && previous.hash === hash) {
+      markCardUpdated(previous.card, false);
+      grid.appendChild(previous.card);
+      renderedCards.push({ card: previous.card, insight: previous.insight });
+      cardIndex.set(key, previous);
+      return;
+    }
+
+    const card = buildInsightCard(insight);
+    if (previous) markCardUpdated(card, true);
+    grid.appendChild(card);
+    renderedCards.push({ card, insight });
+    cardIndex.set(key, { card, insight, hash });
+
+    // Animate the insight text per card
+    const body = card.querySelector(".insight-body");
+    if (!insight.text) {
+      body.innerHTML = "<em>No data</em>";
+    } else if (instant || hasSearchQuery()) {
+      fillCardBody(body, insight.text);
+    } else {
+      animateCardBody(body, insight.text);
+    }
+  });
+
+  return grid;
+}
+
+// Render a card body at once: Markdown plus number highlighting
+function fillCardBody(element, fullText) {
+  element.textContent = "";
+  element.appendChild(renderMarkdown(fullText));
+  highlightNumbers(element);
+  verifyNumbers(element);
+}
+
+// ---------------------------------------------
+// Sorting & grouping
+// ---------------------------------------------
+function sortRows(rows, roles) {
+  let compare = null;
+  switch (getSortOrder()) {
+    case SORT_ORDERS.alphabetical:
+      if (roles.title >= 0) {
+        compare = (a, b) => String(a[roles.title].formattedValue)
+          .localeCompare(String(b[roles.title].formattedValue));
+      }
+      break;
+    case SORT_ORDERS.field:
+      if (roles.sort >= 0) {
+        compare = (a, b) => compareCells(a[roles.sort], b[roles.sort]);
+      }
+      break;
+  }
+  if (!compare) return rows;
+
+  const direction = getSortDirection() === SORT_DIRECTIONS.desc ? -1 : 1;
+  return rows.slice().sort((a, b) => direction * compare(a, b));
+}
+
+// Split sorted rows into groups. Groups come in order of first appearance
+// (so they follow the card sort), or by name when sorting alphabetically.
+function groupRows(rows, groupIdx) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const name = cellText(row, groupIdx) || "—";
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(row);
+  });
+
+  const list = Array.from(groups, ([name, groupRowsList]) => ({ name, rows: groupRowsList }));
+  if (getSortOrder() === SORT_ORDERS.alphabetical) {
+    const direction = getSortDirection() === SORT_DIRECTIONS.desc ? -1 : 1;
+    list.sort((a, b) => direction * a.name.localeCompare(b.name));
+  }
+  return list;
+}
+
+function buildGroup(name, grid, count, collapsed) {
+  const group = document.createElement("div");
+  group.className = "insight-group";
+  if (collapsed) group.classList.add("collapsed");
+
+  const header = document.createElement("button");
+  header.type = "button";
+  header.className = "insight-group-header";
+  header.setAttribute("aria-expanded", String(!collapsed));
+
+  const toggle = document.createElement("span");
+  toggle.className = "insight-group-toggle";
+  const label = document.createElement("span");
+  label.className = "insight-group-name";
+  label.textContent = name;
+  const countEl = document.createElement("span");
+  countEl.className = "insight-group-count";
+  countEl.textContent = String(count);
+
+  header.appendChild(toggle);
+  header.appendChild(label);
+  header.appendChild(countEl);
+  header.addEventListener("click", () => toggleGroup(group, name));
+
+  group.appendChild(header);
+  group.appendChild(grid);
+  return group;
+}
+
+function toggleGroup(group, name) {
+  const collapsed = group.classList.toggle("collapsed");
+  group.querySelector(".insight-group-header")
+    .setAttribute("aria-expanded", String(!collapsed));
+
+  // Finish typing in cards that are being hidden
+  if (collapsed) {
+    Array.from(runningAnimations.entries())
+      .filter(([element]) => group.contains(element))
+      .forEach(([, animation]) => animation.finish());
+  }
+
+  const names = getCollapsedGroups().filter(n => n !== name);
+  if (collapsed) names.push(name);
+  saveCollapsedGroups(names);
+}
+
+// Collapsed groups are remembered in the workbook settings. Saving is not
+// allowed everywhere (e.g. some viewing contexts); then it only lasts
+// for this session.
+function saveCollapsedGroups(names) {
+  try {
+    tableau.extensions.settings.set(SETTING_KEYS.collapsedGroups, JSON.stringify(names));
+    tableau.extensions.settings.saveAsync().catch(err => {
+      log(`Could not save collapsed groups: ${err.message || err}`);
+    });
+  } catch (e) {
+    log(`Could not save collapsed groups: ${e.message || e}`);
+  }
+}
+
+// inert: a card without filter, mark-selection or feedback actions
+function buildInsightCard(insight, { inert = false } = {}) {
+  const card = document.createElement("div");
+  card.className = "insight-card";
+  if (!inert) linkCardToMarks(card, insight);
+
+  const level = severityLevel(insight.severity);
+  if (level) {
+    card.classList.add(`severity-${level}`);
+    card.title = `Severity: ${insight.severity}`;
+  }
+
+  const header = document.createElement("div");
+  header.className = "insight-card-header";
+
+  const brandEl = document.createElement("div");
+  brandEl.className = "insight-brand";
+  brandEl.textContent = insight.title.value || "—";
+  if (insight.title.value && !inert) {
+    makeFilterAction(brandEl, insight.title.field, insight.title.value);
+  }
+
+  header.appendChild(brandEl);
+
+  insight.badges.forEach(({ field, value }) => {
+    const badge = document.createElement("span");
+    badge.className = "insight-badge";
+    badge.textContent = value;
+    if (!inert) makeFilterAction(badge, field, value);
+    header.appendChild(badge);
+  });
+
+  const dateEl = document.createElement("div");
+  dateEl.className = "insight-date";
+  dateEl.textContent = insight.dateRange || "";
+
+  const body = document.createElement("div");
+  body.className = "insight-body";
+
+  card.appendChild(header);
+  if (insight.dateRange) card.appendChild(dateEl);
+  card.appendChild(body);
+  if (!inert) card.appendChild(buildFeedbackControls(card, insight));
+
+  return card;
+}
+
+// ---------------------------------------------
+// Card actions: click a brand / badge to filter the dashboard
+// ---------------------------------------------
+
+// fieldName -> value filtered from a card (shown as removable chips)
+const cardFilters = new Map();
+// fieldName -> the filters its chip restores (see readFieldFilters)
+const cardFilterRestores = new Map();
+
+// Worksheets that card actions apply to; none configured means all
+function actionWorksheets() {
+  if (!dashboard) return [];
+  const names = getActionWorksheets();
+  if (names.length === 0) return dashboard.worksheets;
+  return dashboard.worksheets.filter(ws => names.indexOf(ws.name) !== -1);
+}
+
+function makeFilterAction(element, field, value) {
+  if (!field) return;
+  element.classList.add("actionable");
+  element.setAttribute("role", "button");
+  element.tabIndex = 0;
+  element.title = `Filter the dashboard to ${field}: ${value}`;
+  element.addEventListener("click", () => applyCardFilter(field, value));
+  element.addEventListener("keydown", event => {
+    if (event.key === "Enter") applyCardFilter(field, value);
+  });
+}
+
+// Apply the filter on every target worksheet. Sheets that don't have the
+// field reject; that is expected and only logged.
+async function applyCardFilter(field, value) {
+  const sheets = actionWorksheets();
+  log(`Filtering ${sheets.length} worksheet(s) to ${field}: ${value}`);
+
+  // Remember what the sheets had before the first card filter on this field
+  const previous = cardFilterRestores.get(field) || await readFieldFilters(sheets, field);
+
+  const results = await Promise.allSettled(sheets.map(ws =>
+    ws.applyFilterAsync(field, [value], tableau.FilterUpdateType.Replace)
+  ));
+  logRejected(results, sheets, `filter ${field}`);
+
+  if (results.some(r => r.status === "fulfilled")) {
+    cardFilters.set(field, value);
+    cardFilterRestores.set(field, previous);
+    renderFilterChips();
+  }
+}
+
+// Put back the filters the sheets had before the card filter
+async function clearCardFilter(field) {
+  const previous = cardFilterRestores.get(field) || new Map();
+  const sheets = actionWorksheets();
+  log(`Restoring ${field} filter on ${sheets.length} worksheet(s)`);
+
+  cardFilters.delete(field);
+  cardFilterRestores.delete(field);
+  renderFilterChips();
+
+  const results = await Promise.allSettled(sheets.map(ws =>
+    restoreFieldFilter(ws, field, previous.get(ws.name))
+  ));
+  logRejected(results, sheets, `restore ${field}`);
+}
+
+// worksheet name -> the sheet's filter on the field, or null if it had none
+async function readFieldFilters(sheets, field) {
+  const filters = new Map();
+  await Promise.all(sheets.map(ws => ws.getFiltersAsync().then(
+    list => filters.set(ws.name, list.find(f => f.fieldName === field) || null),
+    err => {
+      log(`Could not read filters on ${ws.name}: ${err.message || err}`);
+      filters.set(ws.name, null);
+    }
+  )));
+  return filters;
+}
+
+function restoreFieldFilter(ws, field, filter) {
+  if (!filter || filter.isAllSelected) return ws.clearFilterAsync(field);
+  const values = filter.appliedValues || [];
+  switch (filter.filterType) {
+    case "categorical":
+      return ws.applyFilterAsync(field, values.map(v => v.value),
+        tableau.FilterUpdateType.Replace, { isExcludeMode: !!filter.isExcludeMode });
+    case "hierarchical":
+      return ws.applyHierarchicalFilterAsync(field, values.map(v => v.hierarchicalPath),
+        tableau.FilterUpdateType.Replace);
+    default:
+      log(`Can't restore a ${filter.filterType} filter on ${ws.name}; clearing ${field}`);
+      return ws.clearFilterAsync(field);
+  }
+}
+
+function logRejected(results, sheets, action) {
+  results.forEach((result, idx) => {
+    if (result.status === "rejected") {
+      const err = result.reason;
+      log(`Could not ${action} on ${sheets[idx].name}: ${err.message || err}`);
+    }
+  });
+}
+
+function renderFilterChips() {
+  const bar = filterChipsEl();
+  if (!bar) return;
+  bar.innerHTML = "";
+
+  cardFilters.forEach((value, field) => {
+    const chip = document.createElement("span");
+    chip.className = "filter-chip";
+    chip.textContent = `${field}: ${value}`;
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "filter-chip-clear";
+    clear.title = `Clear the ${field} filter`;
+    clear.textContent = "×";
+    clear.addEventListener("click", () => clearCardFilter(field));
+
+    chip.appendChild(clear);
+    bar.appendChild(chip);
+  });
+
+  bar.style.display = cardFilters.size ? "flex" : "none";
+}
+
+// ---------------------------------------------
+// Card-to-mark linking: hovering or clicking a card selects the marks for
+// its title / badge values on the card action worksheets
+// ---------------------------------------------
+
+let linkedCard = null;
+// Our own selections fire MarkSelectionChanged too, and Tableau may deliver
+// the event after the call has returned. What we last selected on each
+// worksheet ([] after clearing) tells the first event after it apart: if
+// its marks are all within that selection, it is ours.
+const linkedSelections = new Map();  // worksheet name -> [{ fieldName, value }]
+
+function isLinkedSelectionEvent(worksheetName, marks) {
+  const selection = linkedSelections.get(worksheetName);
+  if (!selection) return false;
+  linkedSelections.delete(worksheetName);
+
+  return marks.data.every(table => table.data.every(row => selection.length > 0 &&
+    selection.every(({ fieldName, value }) => {
+      const idx = table.columns.findIndex(c => c.fieldName === fieldName);
+      return idx !== -1 && value.indexOf(row[idx].formattedValue) !== -1;
+    })));
+}
+
+function linkCardToMarks(card, insight) {
+  const mode = getMarkLinkingMode();
+  if (mode === MARK_LINKING_MODES.off) return;
+
+  const selection = [insight.title]
+    .concat(insight.badges)
+    .filter(item => item.field && item.value)
+    .map(item => ({ fieldName: item.field, value: [item.value] }));
+  if (selection.length === 0) return;
+
+  card.classList.add("linkable");
+
+  if (mode === MARK_LINKING_MODES.hover) {
+    card.addEventListener("mouseenter", () => selectCardMarks(card, selection));
+    card.addEventListener("mouseleave", () => clearCardMarks(card));
+    return;
+  }
+
+  card.addEventListener("click", event => {
+    // Title / badge clicks filter instead (see card actions)
+    if (event.target.closest(".actionable")) return;
+    if (linkedCard === card) {
+      clearCardMarks(card);
+    } else {
+      selectCardMarks(card, selection);
+    }
+  });
+}
+
+async function selectCardMarks(card, selection) {
+  if (linkedCard && linkedCard !== card) linkedCard.classList.remove("linked");
+  linkedCard = card;
+  card.classList.add("linked");
+
+  const sheets = actionWorksheets();
+  sheets.forEach(ws => linkedSelections.set(ws.name, selection));
+
+  const results = await Promise.allSettled(sheets.map(ws =>
+    ws.selectMarksByValueAsync(selection, tableau.SelectionUpdateType.Replace)
+  ));
+  logRejected(results, sheets, "select marks");
+}
+
+async function clearCardMarks(card) {
+  if (linkedCard !== card) return;
+  linkedCard = null;
+  card.classList.remove("linked");
+
+  const sheets = actionWorksheets();
+  sheets.forEach(ws => linkedSelections.set(ws.name, []));
+
+  const results = await Promise.allSettled(sheets.map(ws => ws.clearSelectedMarksAsync()));
+  logRejected(results, sheets, "clear selected marks");
+}
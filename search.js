@@ -0,0 +1,235 @@
+// ---------------------------------------------
+// Search & quick filters
+// Client-side filtering of the rendered cards: a free-text search over the
+// insight text, title and badges (matches are highlighted), plus toggle
+// chips for the distinct badge values (e.g. Source, Hcp Dtc Identifier).
+// Nothing here refetches summary data.
+// ---------------------------------------------
+
+const SEARCH_DEBOUNCE_MS = 150;
+const TOGGLE_KEY_SEPARATOR = "\u0000";
+// Parts of a card the search looks at, as rendered
+const SEARCHABLE_SELECTOR = ".insight-brand, .insight-badge, .insight-body";
+
+let searchQuery = "";
+let searchTimer = null;
+
+// "field\0value" keys of the badge chips switched on
+const activeBadgeToggles = new Set();
+
+// DOM helpers
+const searchToolbarEl = () => document.getElementById("insights-toolbar");
+const searchInputEl = () => document.getElementById("insight-search");
+const badgeTogglesEl = () => document.getElementById("badge-toggles");
+const searchCountEl = () => document.getElementById("search-count");
+
+document.addEventListener("DOMContentLoaded", () => {
+  const input = searchInputEl();
+  if (!input) return;
+  input.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      searchQuery = input.value.trim();
+      applySearch();
+    }, SEARCH_DEBOUNCE_MS);
+  });
+});
+
+function hasSearchQuery() {
+  return searchQuery !== "";
+}
+
+// Called by renderInsightsCards once the new cards are in the page
+function refreshSearchToolbar() {
+  renderBadgeToggles();
+  applySearch();
+
+  const toolbar = searchToolbarEl();
+  if (toolbar) {
+    toolbar.style.display = renderedCards.length || hasSearchQuery() ? "flex" : "none";
+  }
+}
+
+// ---------------------------------------------
+// Filtering
+// ---------------------------------------------
+function applySearch() {
+  // Highlighting works on the final text, so finish any typing first
+  if (hasSearchQuery()) skipAnimations();
+
+  const needle = searchQuery.toLowerCase();
+  const toggles = activeTogglesByField();
+  let visible = 0;
+
+  renderedCards.forEach(({ card, insight }) => {
+    clearSearchHighlights(card);
+    const match = matchesToggles(insight, toggles) && matchesQuery(card, needle);
+    card.hidden = !match;
+    if (!match) return;
+    visible++;
+    if (needle) highlightSearch(card);
+  });
+
+  updateGroupCounts();
+  updateSearchCount(visible);
+}
+
+// Matched against the text as shown (Markdown rendered), like the highlights
+function matchesQuery(card, needle) {
+  if (!needle) return true;
+  return Array.from(card.querySelectorAll(SEARCHABLE_SELECTOR))
+    .some(el => el.textContent.toLowerCase().indexOf(needle) !== -1);
+}
+
+// Chips of the same field are alternatives (OR); fields combine (AND)
+function matchesToggles(insight, toggles) {
+  return Array.from(toggles.entries()).every(([field, values]) =>
+    insight.badges.some(badge => badge.field === field && values.has(badge.value))
+  );
+}
+
+function activeTogglesByField() {
+  const byField = new Map();
+  activeBadgeToggles.forEach(key => {
+    const [field, value] = key.split(TOGGLE_KEY_SEPARATOR);
+    if (!byField.has(field)) byField.set(field, new Set());
+    byField.get(field).add(value);
+  });
+  return byField;
+}
+
+// Hide groups without visible cards and show "visible / total" counts
+function updateGroupCounts() {
+  document.querySelectorAll(".insight-group").forEach(group => {
+    const cards = Array.from(group.querySelectorAll(".insight-card"));
+    const shown = cards.filter(card => !card.hidden).length;
+    group.hidden = shown === 0;
+    const count = group.querySelector(".insight-group-count");
+    if (count) {
+      count.textContent = shown === cards.length ? String(cards.length) : `${shown} / ${cards.length}`;
+    }
+  });
+}
+
+function updateSearchCount(visible) {
+  const el = searchCountEl();
+  if (!el) return;
+  const filtering = hasSearchQuery() || activeBadgeToggles.size > 0;
+  if (!filtering || renderedCards.length === 0) {
+    el.textContent = "";
+  } else if (visible === 0) {
+    el.textContent = "No insights match.";
+  } else {
+    el.textContent = `${visible} of ${renderedCards.length} insights`;
+  }
+}
+
+// ---------------------------------------------
+// Highlighting
+// ---------------------------------------------
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function highlightSearch(card) {
+  const regex = new RegExp(escapeRegExp(searchQuery), "gi");
+  card.querySelectorAll(SEARCHABLE_SELECTOR).forEach(el => markSearchHits(el, regex));
+}
+
+// Matches are found in the element's combined text, so a hit can span
+// number spans or bold text; it gets one mark per text node it covers
+function markSearchHits(element, regex) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let text = "";
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: text.length });
+    text += walker.currentNode.nodeValue;
+  }
+  const hits = Array.from(text.matchAll(regex))
+    .filter(m => m[0])
+    .map(m => [m.index, m.index + m[0].length]);
+  if (hits.length === 0) return;
+
+  nodes.forEach(({ node, start }) => {
+    const value = node.nodeValue;
+    const pieces = hits
+      .map(([from, to]) => [Math.max(from - start, 0), Math.min(to - start, value.length)])
+      .filter(([from, to]) => from < to);
+    if (pieces.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    pieces.forEach(([from, to]) => {
+      if (from > last) fragment.appendChild(document.createTextNode(value.slice(last, from)));
+      const mark = document.createElement("mark");
+      mark.className = "search-hit";
+      mark.textContent = value.slice(from, to);
+      fragment.appendChild(mark);
+      last = to;
+    });
+    if (last < value.length) fragment.appendChild(document.createTextNode(value.slice(last)));
+    node.parentNode.replaceChild(fragment, node);
+  });
+}
+
+function clearSearchHighlights(card) {
+  card.querySelectorAll("mark.search-hit").forEach(mark => {
+    const parent = mark.parentNode;
+    mark.replaceWith(...mark.childNodes);
+    parent.normalize();
+  });
+}
+
+// ---------------------------------------------
+// Badge toggle chips
+// ---------------------------------------------
+function renderBadgeToggles() {
+  const bar = badgeTogglesEl();
+  if (!bar) return;
+  bar.innerHTML = "";
+
+  // field -> sorted distinct values, in badge order
+  const values = new Map();
+  renderedCards.forEach(({ insight }) => {
+    insight.badges.forEach(({ field, value }) => {
+      if (!values.has(field)) values.set(field, new Set());
+      values.get(field).add(value);
+    });
+  });
+
+  // Forget switched-on chips whose value is no longer in the data
+  Array.from(activeBadgeToggles).forEach(key => {
+    const [field, value] = key.split(TOGGLE_KEY_SEPARATOR);
+    if (!values.has(field) || !values.get(field).has(value)) {
+      activeBadgeToggles.delete(key);
+    }
+  });
+
+  values.forEach((fieldValues, field) => {
+    const group = document.createElement("span");
+    group.className = "badge-toggle-group";
+    group.title = field;
+
+    Array.from(fieldValues).sort().forEach(value => {
+      const key = field + TOGGLE_KEY_SEPARATOR + value;
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "badge-toggle";
+      chip.textContent = value;
+      chip.setAttribute("aria-pressed", String(activeBadgeToggles.has(key)));
+      chip.addEventListener("click", () => {
+        if (activeBadgeToggles.has(key)) {
+          activeBadgeToggles.delete(key);
+        } else {
+          activeBadgeToggles.add(key);
+        }
+        chip.setAttribute("aria-pressed", String(activeBadgeToggles.has(key)));
+        applySearch();
+      });
+      group.appendChild(chip);
+    });
+
+    bar.appendChild(group);
+  });
+}
@@ -0,0 +1,265 @@
+// ---------------------------------------------
+// Extension settings
+// Shared by the extension (index.html) and its configure dialog
+// (configure.html). Values live in tableau.extensions.settings so every
+// dashboard can point the extension at its own worksheet / parameter.
+// ---------------------------------------------
+
+// Defaults, used until an author saves a configuration
+const INSIGHTS_WORKSHEET_NAME = "AI Insights- Estimated Spend";
+const DATE_RANGE_PARAM_NAME = "Date Range Selector";
+
+// Which summary-data column plays which role on a card.
+// An empty body means "detect the column whose name contains Insight".
+const DEFAULT_COLUMN_MAPPING = {
+  title: "Brand",
+  badges: ["Hcp Dtc Identifier", "Source"],
+  date: "Current Period Date Range",
+  body: "",
+  severity: "",
+  sort: "",
+  current: "",     // narrative measures; empty means detect by name
+  previous: "",
+};
+
+// Which worksheets' FilterChanged events refresh the insights
+const FILTER_SCOPES = {
+  insights: "insights",    // the insights worksheet only
+  selected: "selected",    // worksheets picked in Configure
+  all: "all",              // every worksheet on the dashboard
+};
+
+// Which parameters' ParameterChanged events refresh the insights
+const PARAMETER_SCOPES = {
+  dateRange: "dateRange",  // the date range parameter only
+  all: "all",              // every parameter in the workbook
+};
+
+// How a card selects the marks it describes on the card action worksheets
+const MARK_LINKING_MODES = {
+  off: "off",
+  hover: "hover",          // select while the pointer is over the card
+  click: "click",          // click to select, click again to clear
+};
+
+// Order of the cards (and of groups, when grouping)
+const SORT_ORDERS = {
+  data: "data",                  // as the summary data returns them
+  alphabetical: "alphabetical",  // by card title
+  field: "field",                // by the mapped sort field
+};
+
+const SORT_DIRECTIONS = {
+  asc: "asc",
+  desc: "desc",
+};
+
+// Where the card text comes from (see providers.js)
+const INSIGHT_PROVIDERS = {
+  worksheet: "worksheet",  // the mapped insight column of the worksheet
+  http: "http",            // an HTTP endpoint generating it from the rows
+  rules: "rules",          // sentences written from the numeric columns
+};
+
+// Sentences of the rule-based narratives (see narrative.js), by how the
+// current value of a measure compares to its previous one. Saved as
+// { up, down, flat, single, measures: { Spend: { up, … } } }: templates
+// for all measures, and overrides for single measures.
+const DEFAULT_NARRATIVE_TEMPLATES = {
+  up: "{measure} for {title} rose {change} to {current} vs prior period ({previous}).",
+  down: "{measure} for {title} fell {change} to {current} vs prior period ({previous}).",
+  flat: "{measure} for {title} was flat at {current} vs prior period.",
+  single: "{measure} for {title} was {current}.",
+};
+
+// Minutes a fetched summary table is reused for the same filters and
+// parameter values; 0 (the default) turns the cache off
+const DEFAULT_CACHE_TTL_MINUTES = 0;
+
+// Relative difference (percent) allowed between a number quoted in an
+// insight and the data value it should match
+const DEFAULT_VERIFICATION_TOLERANCE = 5;
+
+// Keys used in tableau.extensions.settings
+const SETTING_KEYS = {
+  worksheet: "insightsWorksheet",
+  dateRangeParam: "dateRangeParameter",
+  columnMapping: "columnMapping",
+  filterScope: "filterScope",
+  filterWorksheets: "filterWorksheets",
+  parameterScope: "parameterScope",
+  refreshOnMarkSelection: "refreshOnMarkSelection",
+  refreshOnSummaryData: "refreshOnSummaryData",
+  actionWorksheets: "actionWorksheets",
+  markLinking: "markLinking",
+  groupBy: "groupBy",
+  sortOrder: "sortOrder",
+  sortDirection: "sortDirection",
+  collapsedGroups: "collapsedGroups",
+  cacheTtlMinutes: "cacheTtlMinutes",
+  cachePersistent: "cachePersistent",
+  insightProvider: "insightProvider",
+  insightEndpoint: "insightEndpoint",
+  narrativeTemplates: "narrativeTemplates",
+  verifyNumbers: "verifyNumbers",
+  validationWorksheet: "validationWorksheet",
+  verificationTolerance: "verificationTolerance",
+  chatEndpoint: "chatEndpoint",
+};
+
+// Read a saved setting, falling back when it was never saved or the
+// settings namespace is not available (e.g. outside Tableau).
+// An empty string is a saved value ("none"), not a missing one.
+function getSetting(key, fallback) {
+  try {
+    const value = tableau.extensions.settings.get(key);
+    if (value === undefined || value === null) return fallback;
+    return value;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// Read a setting saved as JSON
+function getJsonSetting(key, fallback) {
+  const raw = getSetting(key, null);
+  if (raw === null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.warn(`Ignoring malformed setting "${key}".`, e);
+    return fallback;
+  }
+}
+
+// Read a setting saved as "true" / "false"
+function getBooleanSetting(key, fallback) {
+  const value = getSetting(key, null);
+  if (value === null) return fallback;
+  return value === "true";
+}
+
+function getInsightsWorksheetName() {
+  return getSetting(SETTING_KEYS.worksheet, INSIGHTS_WORKSHEET_NAME);
+}
+
+function getDateRangeParamName() {
+  return getSetting(SETTING_KEYS.dateRangeParam, DATE_RANGE_PARAM_NAME);
+}
+
+function isColumnMappingSaved() {
+  return getJsonSetting(SETTING_KEYS.columnMapping, null) !== null;
+}
+
+function getColumnMapping() {
+  return Object.assign(
+    {},
+    DEFAULT_COLUMN_MAPPING,
+    getJsonSetting(SETTING_KEYS.columnMapping, {})
+  );
+}
+
+function getFilterScope() {
+  return getSetting(SETTING_KEYS.filterScope, FILTER_SCOPES.insights);
+}
+
+// Worksheets picked for the "selected" filter scope
+function getFilterWorksheets() {
+  return getJsonSetting(SETTING_KEYS.filterWorksheets, []);
+}
+
+function getParameterScope() {
+  return getSetting(SETTING_KEYS.parameterScope, PARAMETER_SCOPES.dateRange);
+}
+
+// Show insights only for the marks selected on the listened worksheets
+function isMarkSelectionTriggerEnabled() {
+  return getBooleanSetting(SETTING_KEYS.refreshOnMarkSelection, false);
+}
+
+// Refresh when the insights worksheet's data source is refreshed
+function isSummaryDataTriggerEnabled() {
+  return getBooleanSetting(SETTING_KEYS.refreshOnSummaryData, false);
+}
+
+// Worksheets that card actions (filter on click) apply to; empty means all
+function getActionWorksheets() {
+  return getJsonSetting(SETTING_KEYS.actionWorksheets, []);
+}
+
+function getMarkLinkingMode() {
+  return getSetting(SETTING_KEYS.markLinking, MARK_LINKING_MODES.click);
+}
+
+// Field whose values group the cards; empty means no grouping
+function getGroupByField() {
+  return getSetting(SETTING_KEYS.groupBy, "");
+}
+
+// Before sort orders existed, mapping a sort field meant "sort by it"
+function getSortOrder() {
+  const fallback = getColumnMapping().sort ? SORT_ORDERS.field : SORT_ORDERS.data;
+  return getSetting(SETTING_KEYS.sortOrder, fallback);
+}
+
+function getSortDirection() {
+  return getSetting(SETTING_KEYS.sortDirection, SORT_DIRECTIONS.asc);
+}
+
+// Group values whose cards are collapsed
+function getCollapsedGroups() {
+  return getJsonSetting(SETTING_KEYS.collapsedGroups, []);
+}
+
+function getCacheTtlMinutes() {
+  const minutes = parseFloat(getSetting(SETTING_KEYS.cacheTtlMinutes, ""));
+  return isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_CACHE_TTL_MINUTES;
+}
+
+// Also keep cached summary data in IndexedDB, across sessions
+function isCachePersistent() {
+  return getBooleanSetting(SETTING_KEYS.cachePersistent, false);
+}
+
+function getInsightProvider() {
+  return getSetting(SETTING_KEYS.insightProvider, INSIGHT_PROVIDERS.worksheet);
+}
+
+// URL the HTTP provider posts the summary data to
+function getInsightEndpoint() {
+  return getSetting(SETTING_KEYS.insightEndpoint, "");
+}
+
+// URL of the "Ask about this dashboard" endpoint; "" hides the panel
+function getChatEndpoint() {
+  return getSetting(SETTING_KEYS.chatEndpoint, "");
+}
+
+// Check the numbers quoted in insights against the data
+function isNumberVerificationEnabled() {
+  return getBooleanSetting(SETTING_KEYS.verifyNumbers, true);
+}
+
+// Worksheet whose values (e.g. totals) also back quoted numbers; "" none
+function getValidationWorksheetName() {
+  return getSetting(SETTING_KEYS.validationWorksheet, "");
+}
+
+function getVerificationTolerance() {
+  const percent = parseFloat(getSetting(SETTING_KEYS.verificationTolerance, ""));
+  return isFinite(percent) && percent >= 0 ? percent : DEFAULT_VERIFICATION_TOLERANCE;
+}
+
+// Saved templates override the defaults one by one, and a measure's own
+// templates override those for all measures; blank ones don't
+function getNarrativeTemplates(measure) {
+  const saved = getJsonSetting(SETTING_KEYS.narrativeTemplates, {});
+  const own = (measure && saved.measures && saved.measures[measure]) || {};
+  const templates = Object.assign({}, DEFAULT_NARRATIVE_TEMPLATES);
+  Object.keys(templates).forEach(key => {
+    [saved, own].forEach(source => {
+      if (typeof source[key] === "string" && source[key].trim()) templates[key] = source[key];
+    });
+  });
+  return templates;
+}
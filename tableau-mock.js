@@ -0,0 +1,326 @@
+// ---------------------------------------------
+// Tableau Extensions API mock
+// A local stand-in for the parts of the Extensions API the extension uses:
+// initializeAsync, dashboardContent.dashboard (worksheets, parameters),
+// event listeners, getSummaryDataAsync, filters, mark selection, settings
+// and the ui namespace. Demo mode installs it as window.tableau so the
+// real subscription / refresh pipeline runs outside Tableau.
+//
+// createTableauMock({
+//   dashboardName: "My dashboard",
+//   worksheets: [{ name, getData: ({ parameters }) => dataTable }],
+//   parameters: [{ name, values, currentValue }],
+//   settings: { key: "value" },      // initial saved settings
+//   latencyMs: 0,                    // delay for async data calls
+//   initError: null,                 // make initializeAsync reject
+// })
+// ---------------------------------------------
+
+const MOCK_EVENT_TYPES = {
+  FilterChanged: "filter-changed",
+  ParameterChanged: "parameter-changed",
+  MarkSelectionChanged: "mark-selection-changed",
+  SummaryDataChanged: "summary-data-changed",
+  SettingsChanged: "settings-changed",
+};
+
+const MOCK_ERROR_CODES = {
+  DialogClosedByUser: "dialog-closed-by-user",
+  InvalidParameter: "invalid-parameter",
+  InternalError: "internal-error",
+};
+
+const MOCK_FILTER_UPDATE_TYPES = {
+  All: "all",
+  Add: "add",
+  Remove: "remove",
+  Replace: "replace",
+};
+
+const MOCK_SELECTION_UPDATE_TYPES = {
+  Replace: "select-replace",
+  Add: "select-add",
+  Remove: "select-remove",
+};
+
+// Errors thrown by the mock look like TableauError (message + errorCode)
+function mockError(errorCode, message) {
+  const err = new Error(message);
+  err.errorCode = errorCode;
+  return err;
+}
+
+function mockCell(value) {
+  return { value, formattedValue: String(value), nativeValue: value };
+}
+
+function createTableauMock(config = {}) {
+  const latencyMs = config.latencyMs || 0;
+  const delay = value => new Promise(resolve => {
+    setTimeout(() => resolve(value), latencyMs);
+  });
+
+  // Listener registry shared by worksheets, parameters and settings
+  function createEventTarget(target) {
+    const listeners = [];
+    target.addEventListener = (type, handler) => {
+      const entry = { type, handler };
+      listeners.push(entry);
+      return () => {
+        const idx = listeners.indexOf(entry);
+        if (idx !== -1) listeners.splice(idx, 1);
+      };
+    };
+    target.removeEventListener = (type, handler) => {
+      const idx = listeners.findIndex(l => l.type === type && l.handler === handler);
+      if (idx !== -1) listeners.splice(idx, 1);
+      return idx !== -1;
+    };
+    // Events arrive as separate messages, after the call that caused them
+    // has returned, as they can in Tableau
+    return (type, event) => setTimeout(() => {
+      listeners
+        .filter(l => l.type === type)
+        .forEach(l => l.handler(Object.assign({ type }, event)));
+    }, latencyMs + 1);
+  }
+
+  // ---------------------------------------------
+  // Worksheets
+  // ---------------------------------------------
+  function createWorksheet(spec) {
+    const worksheet = { name: spec.name, sheetType: "worksheet" };
+    const fire = createEventTarget(worksheet);
+
+    // fieldName -> array of applied values
+    const filters = new Map();
+    // fields whose applied values are excluded rather than kept
+    const excludedFields = new Set();
+    // fieldName -> array of applied members; paths are "[field].[member]"
+    const hierarchicalFilters = new Map();
+    // selected rows of the summary data
+    let selectedRows = [];
+
+    // Summary data with the categorical filters applied
+    const filteredData = () => {
+      const table = typeof spec.getData === "function"
+        ? spec.getData({ parameters })
+        : spec.data;
+      if (!table) return { columns: [], data: [] };
+      const applied = Array.from(filters.entries()).concat(Array.from(hierarchicalFilters.entries()));
+      const data = table.data.filter(row => applied.every(
+        ([fieldName, values]) => {
+          const idx = table.columns.findIndex(c => c.fieldName === fieldName);
+          if (idx === -1) return true;
+          return (values.indexOf(row[idx].formattedValue) !== -1) !== excludedFields.has(fieldName);
+        }
+      ));
+      return { name: "Summary Data Table", columns: table.columns, data, totalRowCount: data.length };
+    };
+
+    worksheet.getSummaryDataAsync = (options = {}) => {
+      const table = filteredData();
+      if (options.maxRows) table.data = table.data.slice(0, options.maxRows);
+      return delay(table);
+    };
+
+    worksheet.getFiltersAsync = () => delay(
+      Array.from(filters.entries()).map(([fieldName, values]) => ({
+        worksheetName: spec.name,
+        fieldName,
+        filterType: "categorical",
+        isAllSelected: false,
+        isExcludeMode: excludedFields.has(fieldName),
+        appliedValues: values.map(mockCell),
+      })).concat(Array.from(hierarchicalFilters.entries()).map(([fieldName, values]) => ({
+        worksheetName: spec.name,
+        fieldName,
+        filterType: "hierarchical",
+        isAllSelected: false,
+        appliedValues: values.map(value => ({
+          value: mockCell(value),
+          hierarchicalPath: `[${fieldName}].[${value}]`,
+          level: 0,
+        })),
+      })))
+    );
+
+    // A field has one filter at a time, so each kind replaces the other
+    worksheet.applyFilterAsync = (fieldName, values, updateType, options = {}) => {
+      const current = filters.get(fieldName) || [];
+      hierarchicalFilters.delete(fieldName);
+      if (options.isExcludeMode) {
+        excludedFields.add(fieldName);
+      } else {
+        excludedFields.delete(fieldName);
+      }
+      switch (updateType) {
+        case MOCK_FILTER_UPDATE_TYPES.All:
+          filters.delete(fieldName);
+          break;
+        case MOCK_FILTER_UPDATE_TYPES.Add:
+          filters.set(fieldName, current.concat(values));
+          break;
+        case MOCK_FILTER_UPDATE_TYPES.Remove:
+          filters.set(fieldName, current.filter(v => values.indexOf(v) === -1));
+          break;
+        default:
+          filters.set(fieldName, values.slice());
+      }
+      fire(MOCK_EVENT_TYPES.FilterChanged, { worksheet, fieldName });
+      return delay(fieldName);
+    };
+
+    // Only replaces the members of a single-level hierarchy, given as
+    // member names or as "[Field].[Member]" paths
+    worksheet.applyHierarchicalFilterAsync = (fieldName, values) => {
+      hierarchicalFilters.set(fieldName, values.map(value => {
+        const path = /^\[[^\]]*\]\.\[(.*)\]$/.exec(value);
+        return path ? path[1] : value;
+      }));
+      filters.delete(fieldName);
+      excludedFields.delete(fieldName);
+      fire(MOCK_EVENT_TYPES.FilterChanged, { worksheet, fieldName });
+      return delay(fieldName);
+    };
+
+    worksheet.clearFilterAsync = fieldName => {
+      filters.delete(fieldName);
+      hierarchicalFilters.delete(fieldName);
+      excludedFields.delete(fieldName);
+      fire(MOCK_EVENT_TYPES.FilterChanged, { worksheet, fieldName });
+      return delay(fieldName);
+    };
+
+    // Selects every summary row matching all of the given field values
+    worksheet.selectMarksByValueAsync = (selections, updateType) => {
+      const table = filteredData();
+      const matches = table.data.filter(row => selections.every(sel => {
+        const idx = table.columns.findIndex(c => c.fieldName === sel.fieldName);
+        return idx !== -1 && sel.value.map(String).indexOf(row[idx].formattedValue) !== -1;
+      }));
+      if (updateType === MOCK_SELECTION_UPDATE_TYPES.Add) {
+        selectedRows = selectedRows.concat(matches);
+      } else if (updateType === MOCK_SELECTION_UPDATE_TYPES.Remove) {
+        selectedRows = selectedRows.filter(row => matches.indexOf(row) === -1);
+      } else {
+        selectedRows = matches;
+      }
+      fire(MOCK_EVENT_TYPES.MarkSelectionChanged, {
+        worksheet,
+        getMarksAsync: worksheet.getSelectedMarksAsync,
+      });
+      return delay();
+    };
+
+    worksheet.clearSelectedMarksAsync = () => {
+      selectedRows = [];
+      fire(MOCK_EVENT_TYPES.MarkSelectionChanged, {
+        worksheet,
+        getMarksAsync: worksheet.getSelectedMarksAsync,
+      });
+      return delay();
+    };
+
+    worksheet.getSelectedMarksAsync = () => delay({
+      data: [{ columns: filteredData().columns, data: selectedRows }],
+    });
+
+    // Test / demo hook: pretend the data source was refreshed
+    worksheet.simulateSummaryDataChanged = () => {
+      fire(MOCK_EVENT_TYPES.SummaryDataChanged, { worksheet });
+    };
+
+    return worksheet;
+  }
+
+  // ---------------------------------------------
+  // Parameters
+  // ---------------------------------------------
+  function createParameter(spec) {
+    const parameter = {
+      name: spec.name,
+      id: spec.name,
+      dataType: "string",
+      currentValue: mockCell(spec.currentValue),
+      allowableValues: {
+        type: "list",
+        allowableValues: (spec.values || []).map(mockCell),
+      },
+    };
+    const fire = createEventTarget(parameter);
+
+    parameter.changeValueAsync = value => {
+      parameter.currentValue = mockCell(value);
+      fire(MOCK_EVENT_TYPES.ParameterChanged, {
+        getParameterAsync: () => delay(parameter),
+      });
+      return delay(parameter.currentValue);
+    };
+
+    return parameter;
+  }
+
+  // ---------------------------------------------
+  // Settings
+  // ---------------------------------------------
+  function createSettings(initial) {
+    let saved = Object.assign({}, initial);
+    let pending = Object.assign({}, saved);
+    const settings = {};
+    const fire = createEventTarget(settings);
+
+    settings.get = key => pending[key];
+    settings.getAll = () => Object.assign({}, pending);
+    settings.set = (key, value) => { pending[key] = String(value); };
+    settings.erase = key => { delete pending[key]; };
+    settings.saveAsync = () => {
+      saved = Object.assign({}, pending);
+      fire(MOCK_EVENT_TYPES.SettingsChanged, { newSettings: settings.getAll() });
+      return delay(settings.getAll());
+    };
+    Object.defineProperty(settings, "isModified", {
+      get: () => JSON.stringify(saved) !== JSON.stringify(pending),
+    });
+
+    return settings;
+  }
+
+  // ---------------------------------------------
+  // Namespace
+  // ---------------------------------------------
+  const worksheets = (config.worksheets || []).map(createWorksheet);
+  const parameters = (config.parameters || []).map(createParameter);
+
+  const dashboard = {
+    name: config.dashboardName || "Mock dashboard",
+    sheetType: "dashboard",
+    worksheets,
+    getParametersAsync: () => delay(parameters.slice()),
+    findParameterAsync: name => delay(parameters.find(p => p.name === name)),
+  };
+
+  const ui = {
+    displayDialogAsync: () => Promise.reject(
+      mockError(MOCK_ERROR_CODES.DialogClosedByUser, "Dialogs are not available in the mock.")
+    ),
+    closeDialog: () => {},
+  };
+
+  return {
+    TableauEventType: MOCK_EVENT_TYPES,
+    ErrorCodes: MOCK_ERROR_CODES,
+    FilterUpdateType: MOCK_FILTER_UPDATE_TYPES,
+    SelectionUpdateType: MOCK_SELECTION_UPDATE_TYPES,
+    extensions: {
+      initializeAsync: () => (config.initError
+        ? Promise.reject(mockError(MOCK_ERROR_CODES.InternalError, config.initError))
+        : delay()),
+      initializeDialogAsync: () => delay(""),
+      dashboardContent: { dashboard },
+      settings: createSettings(config.settings),
+      ui,
+      environment: { context: "desktop", mode: "authoring", tableauVersion: "mock" },
+    },
+  };
+}
@@ -0,0 +1,65 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  insightsTable,
+  loadExtension,
+  waitForSettled,
+  sleep,
+  cardTexts,
+} = require("./helpers");
+
+describe("card actions", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  it("puts back the filters the worksheets had when a filter chip is cleared", async () => {
+    page = loadExtension({
+      worksheets: [
+        {
+          name: INSIGHTS_WORKSHEET,
+          data: insightsTable([
+            ["Alpha", "DTC", "TV", "", "Insight for Alpha"],
+            ["Beta", "DTC", "TV", "", "Insight for Beta"],
+            ["Gamma", "HCP", "Digital", "", "Insight for Gamma"],
+          ]),
+        },
+        { name: "Spend by Brand" },
+        { name: "Spend by Region" },
+      ],
+    });
+    const { window } = page;
+    const [insights, spend, region] = window.tableau.extensions.dashboardContent.dashboard.worksheets;
+    const brandFilter = async sheet => {
+      const filter = (await sheet.getFiltersAsync()).find(f => f.fieldName === "Brand");
+      return filter && {
+        type: filter.filterType,
+        exclude: !!filter.isExcludeMode,
+        values: Array.from(filter.appliedValues, v =>
+          (filter.filterType === "hierarchical" ? v.value : v).formattedValue),
+      };
+    };
+    const brand = name => Array.from(window.document.querySelectorAll(".insight-brand.actionable"))
+      .find(el => el.textContent === name);
+
+    await insights.applyFilterAsync("Brand", ["Gamma"], "replace", { isExcludeMode: true });
+    await spend.applyHierarchicalFilterAsync("Brand", ["Alpha", "Beta"]);
+    await waitForSettled(window, () => cardTexts(window).length === 2);
+    window.skipAnimations();
+
+    brand("Alpha").click();
+    await waitForSettled(window, () => cardTexts(window).length === 1);
+    // A second card filter on the field keeps the filters from before the first
+    brand("Alpha").click();
+    await sleep(20);
+    await waitForSettled(window);
+    assert.strictEqual(window.document.querySelectorAll(".filter-chip").length, 1);
+    assert.deepStrictEqual(await brandFilter(region), { type: "categorical", exclude: false, values: ["Alpha"] });
+
+    window.document.querySelector(".filter-chip-clear").click();
+    await waitForSettled(window, async () => cardTexts(window).length === 2 && !(await brandFilter(region)));
+
+    assert.deepStrictEqual(await brandFilter(insights), { type: "categorical", exclude: true, values: ["Gamma"] });
+    assert.deepStrictEqual(await brandFilter(spend), { type: "hierarchical", exclude: false, values: ["Alpha", "Beta"] });
+    assert.strictEqual(window.document.querySelectorAll(".filter-chip").length, 0);
+  });
+});
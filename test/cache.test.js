@@ -0,0 +1,135 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  insightsTable,
+  loadExtension,
+  fakeIndexedDB,
+  waitFor,
+  waitForSettled,
+  cardTexts,
+} = require("./helpers");
+
+const ROWS = [
+  ["Alpha", "DTC", "TV", "", "Insight for Alpha"],
+  ["Beta", "DTC", "TV", "", "Insight for Beta"],
+];
+const CACHE_SETTINGS = { cacheTtlMinutes: "10", cachePersistent: "true" };
+
+// Dashboard names of the entries in the persisted cache
+function persistedDashboards(indexedDB) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open("ai-insights-cache", 1);
+    open.onupgradeneeded = () => open.result.createObjectStore("summaryData");
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const request = open.result.transaction("summaryData").objectStore("summaryData").getAllKeys();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        open.result.close();
+        resolve(request.result.map(key => key.split("\u0000")[0]).sort());
+      };
+    };
+  });
+}
+
+describe("summary data cache", () => {
+  let pages;
+  beforeEach(() => { pages = []; });
+  afterEach(() => pages.forEach(page => page.window.close()));
+
+  function load(mock, options) {
+    const page = loadExtension(mock, options);
+    pages.push(page);
+    return page;
+  }
+
+  async function settledCardTexts(window, check = () => true) {
+    await waitForSettled(window, () => check(cardTexts(window)));
+    window.skipAnimations();
+    return cardTexts(window);
+  }
+
+  it("keys hierarchical filters on their members and skips filters it can't key", () => {
+    const { window } = load();
+    const member = name => ({ value: { value: name }, hierarchicalPath: `[Region].[${name}]` });
+    const fingerprint = filters => window.selectionFingerprint("source", filters, []);
+    const region = (...names) => ({
+      fieldName: "Region",
+      filterType: "hierarchical",
+      isAllSelected: false,
+      appliedValues: names.map(member),
+    });
+
+    assert.notStrictEqual(fingerprint([region("East")]), fingerprint([region("West")]));
+    assert.strictEqual(fingerprint([region("East", "West")]), fingerprint([region("West", "East")]));
+    assert.strictEqual(fingerprint([region("East"), { fieldName: "Shape", filterType: "spatial" }]), null);
+  });
+
+  it("fetches again when a hierarchical filter changes", async () => {
+    const { window } = load({
+      worksheets: [{ name: INSIGHTS_WORKSHEET, data: insightsTable(ROWS) }],
+      settings: { cacheTtlMinutes: "10" },
+    });
+    await settledCardTexts(window, texts => texts.length === 2);
+    const sheet = window.tableau.extensions.dashboardContent.dashboard.worksheets[0];
+
+    sheet.applyHierarchicalFilterAsync("Brand", ["Alpha"], "replace");
+    assert.deepStrictEqual(
+      await settledCardTexts(window, texts => texts.length === 1),
+      ["Insight for Alpha"]
+    );
+
+    sheet.applyHierarchicalFilterAsync("Brand", ["Beta"], "replace");
+    assert.deepStrictEqual(
+      await settledCardTexts(window, texts => texts[0] !== "Insight for Alpha"),
+      ["Insight for Beta"]
+    );
+  });
+
+  it("is off unless a time is set", async () => {
+    let fetches = 0;
+    const { window } = load({
+      worksheets: [{
+        name: INSIGHTS_WORKSHEET,
+        getData: () => { fetches++; return insightsTable(ROWS); },
+      }],
+    });
+    await settledCardTexts(window, texts => texts.length === 2);
+    const sheet = window.tableau.extensions.dashboardContent.dashboard.worksheets[0];
+
+    sheet.applyFilterAsync("Brand", ["Alpha"], "replace");
+    await settledCardTexts(window, texts => texts.length === 1);
+    sheet.clearFilterAsync("Brand");
+    await settledCardTexts(window, texts => texts.length === 2);
+    assert.strictEqual(window.eval("summaryCache.size"), 0);
+    assert.strictEqual(window.eval("isCacheEnabled()"), false);
+    assert.ok(fetches >= 3, `fetched ${fetches} times`);
+  });
+
+  it("clears only this dashboard's entries when the data source refreshes", async () => {
+    const indexedDB = fakeIndexedDB();
+    const worksheets = [{ name: INSIGHTS_WORKSHEET, data: insightsTable(ROWS) }];
+
+    const one = load({ dashboardName: "One", worksheets, settings: CACHE_SETTINGS }, { indexedDB });
+    await settledCardTexts(one.window, texts => texts.length === 2);
+    await waitFor(async () => (await persistedDashboards(indexedDB)).length === 1);
+
+    const two = load({ dashboardName: "Two", worksheets, settings: CACHE_SETTINGS }, { indexedDB });
+    await settledCardTexts(two.window, texts => texts.length === 2);
+    let stored = [];
+    await waitFor(async () => {
+      stored = await persistedDashboards(indexedDB);
+      return stored.length === 2;
+    });
+    assert.deepStrictEqual(stored, ["One", "Two"]);
+
+    two.window.tableau.extensions.dashboardContent.dashboard.worksheets[0]
+      .simulateSummaryDataChanged();
+    await waitFor(() => two.window.eval("summaryCache.size") === 0);
+    await waitFor(async () => {
+      stored = await persistedDashboards(indexedDB);
+      return stored.length === 1;
+    });
+    assert.deepStrictEqual(stored, ["One"]);
+  });
+});
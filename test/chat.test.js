@@ -0,0 +1,123 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  insightsTable,
+  loadExtension,
+  waitFor,
+  waitForSettled,
+  cardTexts,
+} = require("./helpers");
+
+const ENDPOINT = "http://localhost:8787/chat";
+
+// A text/plain answer whose chunks the test sends one by one. Aborting
+// the request errors the body, as fetch does.
+function streamedAnswer(signal) {
+  let controller;
+  const body = new ReadableStream({ start(c) { controller = c; } });
+  signal.addEventListener("abort", () => controller.error(new DOMException("Aborted", "AbortError")));
+  const encoder = new TextEncoder();
+  return {
+    response: new Response(body, { headers: { "Content-Type": "text/plain; charset=utf-8" } }),
+    send: text => controller.enqueue(encoder.encode(text)),
+    end: () => controller.close(),
+  };
+}
+
+describe("ask about this dashboard", () => {
+  let page;
+  let requests;
+  let answers;
+  afterEach(() => page.window.close());
+
+  async function load() {
+    page = loadExtension({
+      worksheets: [{
+        name: INSIGHTS_WORKSHEET,
+        data: insightsTable([["Alpha", "DTC", "TV", "", "DTC spend fell."]]),
+      }],
+      settings: { chatEndpoint: ENDPOINT },
+    });
+    const { window } = page;
+    requests = [];
+    answers = [];
+    // Each request takes the next answer: a function of the abort signal
+    window.fetch = async (url, options) => {
+      requests.push({ url, body: JSON.parse(options.body) });
+      return answers.shift()(options.signal);
+    };
+    await waitForSettled(window, () => cardTexts(window).length === 1);
+    window.skipAnimations();
+    window.document.getElementById("chat-toggle").click();
+    return window;
+  }
+
+  function ask(window, question) {
+    window.document.getElementById("chat-input").value = question;
+    window.document.getElementById("chat-send").click();
+  }
+
+  const lastAnswer = window => Array.from(window.document.querySelectorAll(".chat-assistant")).pop();
+  const sendLabel = window => window.document.getElementById("chat-send").textContent;
+
+  it("shows a streamed answer as it arrives and sends the conversation with the next question", async () => {
+    const window = await load();
+    let stream;
+    answers.push(signal => {
+      stream = streamedAnswer(signal);
+      return stream.response;
+    });
+    answers.push(() => new Response(JSON.stringify({ answer: "TV spend moved to **Digital**." }), {
+      headers: { "Content-Type": "application/json" },
+    }));
+
+    ask(window, "Why did DTC drop?");
+    await waitFor(() => stream);
+    stream.send("Spend fell ");
+    await waitFor(() => lastAnswer(window).textContent === "Spend fell ");
+    assert.ok(lastAnswer(window).classList.contains("streaming"));
+    assert.strictEqual(sendLabel(window), "Stop");
+
+    stream.send("**12%**.");
+    stream.end();
+    await waitFor(() => !lastAnswer(window).classList.contains("streaming"));
+    assert.strictEqual(lastAnswer(window).textContent, "Spend fell 12%.");
+    assert.strictEqual(lastAnswer(window).querySelector("strong").textContent, "12%");
+    assert.strictEqual(sendLabel(window), "Send");
+
+    const [first] = requests;
+    assert.strictEqual(first.url, ENDPOINT);
+    assert.strictEqual(first.body.question, "Why did DTC drop?");
+    assert.deepStrictEqual(first.body.history, []);
+    assert.deepStrictEqual(first.body.insights.map(insight => insight.text), ["DTC spend fell."]);
+
+    ask(window, "Where did it go?");
+    await waitFor(() => requests.length === 2 && sendLabel(window) === "Send");
+    assert.strictEqual(lastAnswer(window).textContent, "TV spend moved to Digital.");
+    assert.deepStrictEqual(requests[1].body.history, [
+      { role: "user", content: "Why did DTC drop?" },
+      { role: "assistant", content: "Spend fell **12%**." },
+    ]);
+  });
+
+  it("stops an answer on Stop and keeps only the question in the history", async () => {
+    const window = await load();
+    let stream;
+    answers.push(signal => {
+      stream = streamedAnswer(signal);
+      return stream.response;
+    });
+
+    ask(window, "Why did DTC drop?");
+    await waitFor(() => stream);
+    stream.send("Spend fell");
+    await waitFor(() => lastAnswer(window).textContent === "Spend fell");
+    window.document.getElementById("chat-send").click();
+
+    await waitFor(() => sendLabel(window) === "Send");
+    assert.strictEqual(lastAnswer(window).textContent, "Spend fell [stopped]");
+    assert.ok(lastAnswer(window).classList.contains("chat-error"));
+    assert.deepStrictEqual(JSON.parse(window.eval("JSON.stringify(chatHistory)")),
+      [{ role: "user", content: "Why did DTC drop?" }]);
+  });
+});
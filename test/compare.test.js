@@ -0,0 +1,62 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  DATE_RANGE_PARAM,
+  insightsTable,
+  loadExtension,
+  waitFor,
+  waitForSettled,
+  cardTexts,
+} = require("./helpers");
+
+const TEXTS = {
+  W1: { Alpha: "Alpha spend rose 10%.", Beta: "Beta spend held." },
+  W2: { Alpha: "Alpha spend rose 14%.", Beta: "Beta spend fell 3%." },
+};
+
+describe("comparison mode", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  async function settle(window, expectedTexts) {
+    await waitForSettled(window, () => cardTexts(window).length === expectedTexts);
+    window.skipAnimations();
+  }
+
+  it("drops old diffs from kept cards and renders removed cards inert", async () => {
+    page = loadExtension({
+      worksheets: [{
+        name: INSIGHTS_WORKSHEET,
+        getData: ({ parameters }) => {
+          const texts = TEXTS[parameters[0].currentValue.value];
+          return insightsTable(Object.keys(texts).map(brand => [brand, "DTC", "TV", "", texts[brand]]));
+        },
+      }],
+      parameters: [{ name: DATE_RANGE_PARAM, values: ["W1", "W2"], currentValue: "W1" }],
+    });
+    const { window } = page;
+    const { document } = window;
+    const dashboard = window.tableau.extensions.dashboardContent.dashboard;
+    await settle(window, 2);
+
+    document.getElementById("compare-toggle").click();
+    const [parameter] = await dashboard.getParametersAsync();
+    parameter.changeValueAsync("W2");
+    await waitFor(() => document.querySelector("#insights-table ins"));
+    await settle(window, 2);
+    assert.match(document.getElementById("comparison-summary").textContent, /2 changed, 0 new, 0 removed/);
+
+    // Alpha's row is unchanged, so its card is kept from the diffed render
+    await dashboard.worksheets[0].applyFilterAsync("Brand", ["Alpha"], "replace");
+    await settle(window, 1);
+    await waitFor(() => document.querySelector("#removed-insights .insight-card"));
+
+    assert.match(document.getElementById("comparison-summary").textContent, /0 changed, 0 new, 1 removed/);
+    assert.strictEqual(document.querySelectorAll("#insights-table ins, #insights-table del").length, 0);
+    assert.deepStrictEqual(cardTexts(window), [TEXTS.W2.Alpha]);
+
+    const removed = document.querySelector("#removed-insights .insight-card");
+    assert.strictEqual(removed.querySelectorAll(".actionable, .insight-feedback").length, 0);
+    assert.ok(!removed.classList.contains("linkable"));
+  });
+});
@@ -0,0 +1,38 @@
+const assert = require("assert");
+const { INSIGHTS_WORKSHEET, insightsTable, loadExtension, waitFor, waitForSettled, cardTexts } = require("./helpers");
+
+describe("selection context", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  it("describes excluded values and hierarchical filters", async () => {
+    page = loadExtension({
+      worksheets: [{
+        name: INSIGHTS_WORKSHEET,
+        data: insightsTable([
+          ["Alpha", "DTC", "TV", "", "Insight for Alpha"],
+          ["Beta", "DTC", "TV", "", "Insight for Beta"],
+          ["Gamma", "HCP", "Digital", "", "Insight for Gamma"],
+        ]),
+      }],
+    });
+    const { window } = page;
+    const chips = () => Array.from(
+      window.document.querySelectorAll("#context-strip .context-chip"),
+      chip => chip.textContent
+    );
+    await waitFor(() => cardTexts(window).length === 3);
+
+    const sheet = window.tableau.extensions.dashboardContent.dashboard.worksheets[0];
+    sheet.applyFilterAsync("Brand", ["Alpha"], "replace", { isExcludeMode: true });
+    sheet.applyHierarchicalFilterAsync("Source", ["TV"], "replace");
+    await waitForSettled(window, () => cardTexts(window).length === 1);
+
+    assert.deepStrictEqual(cardTexts(window), ["Insight for Beta"]);
+    assert.deepStrictEqual(chips(), ["Brand: all except Alpha", "Source: TV"]);
+    assert.strictEqual(
+      window.formatSelectionContext(window.eval("selectionContext")),
+      "Brand: all except Alpha • Source: TV"
+    );
+  });
+});
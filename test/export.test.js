@@ -0,0 +1,34 @@
+const assert = require("assert");
+const { loadExtension } = require("./helpers");
+
+const CONTEXT = [{ name: "Region", value: "-East" }];
+
+describe("CSV export", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  it("keeps cells that start like a formula from running in spreadsheets", () => {
+    page = loadExtension();
+    const { window } = page;
+
+    const insightsCsv = window.insightsToCsv({
+      context: CONTEXT,
+      insights: [{
+        title: { field: "Brand", value: "=HYPERLINK(\"http://x\",\"Alpha\")" },
+        badges: [{ field: "Source", value: "@SUM(A1)" }],
+        dateRange: "+1 week",
+        text: "Spend rose 12%.",
+      }],
+    });
+    assert.strictEqual(insightsCsv.split("\r\n")[1],
+      "\"'=HYPERLINK(\"\"http://x\"\",\"\"Alpha\"\")\",'@SUM(A1),'+1 week,Spend rose 12%.,Region: -East");
+
+    const feedbackCsv = window.feedbackToCsv([{
+      recordedAt: "2026-01-01", updatedAt: "2026-01-02", dashboard: "Spend", worksheet: "Insights",
+      rating: "notHelpful", comment: "-2+3", title: "Alpha", badges: [], dateRange: "Q1",
+      textHash: "abc", context: CONTEXT,
+    }]);
+    assert.strictEqual(feedbackCsv.split("\r\n")[1],
+      "2026-01-01,2026-01-02,Spend,Insights,Not helpful,'-2+3,Alpha,,Q1,abc,Region: -East");
+  });
+});
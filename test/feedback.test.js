@@ -0,0 +1,56 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  insightsTable,
+  loadExtension,
+  fakeIndexedDB,
+  waitFor,
+} = require("./helpers");
+
+describe("insight feedback", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  it("keeps a rating and its comment in one entry and exports it", async () => {
+    page = loadExtension({
+      dashboardName: "Spend",
+      worksheets: [{
+        name: INSIGHTS_WORKSHEET,
+        data: insightsTable([["Alpha", "DTC", "TV", "", "Insight for Alpha"]]),
+      }],
+    }, { indexedDB: fakeIndexedDB() });
+    const { window } = page;
+    const downloads = [];
+    window.downloadText = (text, fileName, mimeType) => downloads.push({ text, fileName, mimeType });
+    await waitFor(() => window.document.querySelector(".insight-card .feedback-helpful"));
+    window.skipAnimations();
+
+    const card = window.document.querySelector(".insight-card");
+    card.querySelector(".feedback-helpful").click();
+    card.querySelector(".feedback-comment input").value = "=1+1 is right";
+    card.querySelector(".feedback-comment button").click();
+    await waitFor(() => card.querySelector(".feedback-comment button").textContent === "Saved");
+
+    const entries = await window.readAllFeedback();
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].rating, "helpful");
+    assert.strictEqual(entries[0].comment, "=1+1 is right");
+    assert.strictEqual(entries[0].title, "Alpha");
+    assert.strictEqual(window.eval("feedbackMemory.length"), 0);
+
+    await window.exportFeedback("json");
+    await window.exportFeedback("csv");
+    assert.deepStrictEqual(downloads.map(d => d.mimeType), ["application/json", "text/csv"]);
+    assert.match(downloads[0].fileName, /^ai-insights-feedback-\d{4}(-\d\d){4}\.json$/);
+    assert.match(downloads[1].fileName, /^ai-insights-feedback-\d{4}(-\d\d){4}\.csv$/);
+
+    const [json] = JSON.parse(downloads[0].text);
+    assert.strictEqual(json.dashboard, "Spend");
+    assert.strictEqual(json.rating, "helpful");
+    assert.strictEqual(json.comment, "=1+1 is right");
+
+    const csv = downloads[1].text.split("\r\n");
+    assert.strictEqual(csv.length, 3);
+    assert.match(csv[1], /,Spend,AI Insights[^,]*,Helpful,'=1\+1 is right,Alpha,Hcp Dtc Identifier: DTC; Source: TV,/);
+  });
+});
@@ -0,0 +1,130 @@
+// ---------------------------------------------
+// Test helpers
+// Boots index.html in jsdom with the Extensions API mock from
+// tableau-mock.js installed as window.tableau, so the real
+// initialization, subscription and refresh pipeline runs offline.
+// ---------------------------------------------
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { IDBFactory, IDBKeyRange } = require("fake-indexeddb");
+
+const ROOT = path.join(__dirname, "..");
+const SCRIPT_TAG = /<script src="\.\/([^"]+)"><\/script>/g;
+// Loaded by Tableau, not part of this repository's code under test
+const EXTERNAL_SCRIPTS = ["tableau.extensions.1.latest.js"];
+
+const INSIGHTS_WORKSHEET = "AI Insights- Estimated Spend";
+const DATE_RANGE_PARAM = "Date Range Selector";
+
+const COLUMNS = [
+  { fieldName: "Brand", dataType: "string", index: 0 },
+  { fieldName: "Hcp Dtc Identifier", dataType: "string", index: 1 },
+  { fieldName: "Source", dataType: "string", index: 2 },
+  { fieldName: "Current Period Date Range", dataType: "string", index: 3 },
+  { fieldName: "AI Insight", dataType: "string", index: 4 },
+];
+
+function cell(value) {
+  return { value, formattedValue: String(value), nativeValue: value };
+}
+
+// Summary data table from [brand, identifier, source, dateRange, insight]
+function insightsTable(rows) {
+  return { columns: COLUMNS, data: rows.map(row => row.map(cell)) };
+}
+
+// Loads the extension page. mock is passed to createTableauMock; the
+// returned window has the page's globals, the mock as window.tableau,
+// every alert() call and every script error. jsdom has no IndexedDB:
+// pass one from fakeIndexedDB() (pages given the same one share it).
+function loadExtension(mock = {}, { indexedDB = null } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const scripts = Array.from(html.matchAll(SCRIPT_TAG), m => m[1])
+    .filter(src => EXTERNAL_SCRIPTS.indexOf(src) === -1);
+
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", err => errors.push(err));
+
+  const dom = new JSDOM(html.replace(SCRIPT_TAG, ""), {
+    url: "http://localhost/index.html",
+    runScripts: "dangerously",
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const window = dom.window;
+  const alerts = [];
+  window.alert = message => alerts.push(message);
+  // Look like a page hosted by Tableau, so demo mode stays off
+  window.__tableauDesktopDispatcher = Promise.resolve();
+  // jsdom has no TextDecoder; chat.js decodes streamed answers with it
+  window.TextDecoder = TextDecoder;
+  if (indexedDB) {
+    window.indexedDB = indexedDB;
+    window.IDBKeyRange = IDBKeyRange;
+  }
+
+  scripts.forEach(src => {
+    const script = window.document.createElement("script");
+    script.textContent = fs.readFileSync(path.join(ROOT, src), "utf8");
+    window.document.body.appendChild(script);
+  });
+
+  window.tableau = window.createTableauMock(mock);
+  // The scripts were added after parsing; jsdom may already be past it
+  if (window.document.readyState !== "loading") {
+    window.document.dispatchEvent(new window.Event("DOMContentLoaded"));
+  }
+  return { window, alerts, errors };
+}
+
+function fakeIndexedDB() {
+  return new IDBFactory();
+}
+
+// Resolves once check() returns (or resolves to) something truthy
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() - started > timeoutMs) throw new Error("Timed out waiting for the page.");
+    await sleep(20);
+  }
+}
+
+// Resolves once no refresh is running or scheduled and check() holds
+function waitForSettled(window, check = () => true) {
+  return waitFor(async () => !window.eval("isRefreshing || refreshQueued || refreshTimer") && check());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function logText(window) {
+  return window.document.getElementById("log").textContent;
+}
+
+function cardTexts(window) {
+  return Array.from(
+    window.document.querySelectorAll("#insights-table .insight-body"),
+    body => body.textContent
+  );
+}
+
+module.exports = {
+  INSIGHTS_WORKSHEET,
+  DATE_RANGE_PARAM,
+  cell,
+  insightsTable,
+  loadExtension,
+  fakeIndexedDB,
+  waitFor,
+  waitForSettled,
+  sleep,
+  logText,
+  cardTexts,
+};
@@ -0,0 +1,56 @@
+const assert = require("assert");
+const { INSIGHTS_WORKSHEET, insightsTable, loadExtension, waitFor } = require("./helpers");
+
+// Insight text must never become markup: every hostile string renders as
+// text in paragraphs, with numbers wrapped in span.insight-number
+const ALLOWED_TAGS = ["P", "SPAN"];
+
+describe("hostile insight text", () => {
+  let page;
+  let hostile;
+
+  beforeEach(async () => {
+    page = loadExtension({
+      worksheets: [{ name: INSIGHTS_WORKSHEET, data: insightsTable([]) }],
+    });
+    const table = page.window.document.getElementById("insights-table");
+    await waitFor(() => table.textContent);
+    hostile = page.window.eval("DEMO_HOSTILE_INSIGHTS");
+  });
+  afterEach(() => page.window.close());
+
+  function assertInert(element, text) {
+    const tags = Array.from(element.querySelectorAll("*"), el => el.tagName);
+    assert.deepStrictEqual(tags.filter(tag => ALLOWED_TAGS.indexOf(tag) === -1), [], text);
+    assert.strictEqual(element.textContent, text);
+  }
+
+  it("renders as text through renderMarkdown and highlightNumbers", () => {
+    const { window } = page;
+    hostile.forEach(text => {
+      const element = window.document.createElement("div");
+      element.appendChild(window.renderMarkdown(text));
+      window.highlightNumbers(element);
+      assertInert(element, text);
+    });
+    assert.deepStrictEqual(page.alerts, []);
+  });
+
+  it("renders as text through the typing animation", async () => {
+    const { window } = page;
+    const elements = hostile.map(text => {
+      const element = window.document.createElement("div");
+      window.document.body.appendChild(element);
+      window.animateCardBody(element, text);
+      return element;
+    });
+    window.skipAnimations();
+
+    elements.forEach((element, idx) => {
+      assertInert(element, hostile[idx]);
+      assert.ok(element.querySelector(".insight-number"), "numbers are highlighted after typing");
+    });
+    assert.deepStrictEqual(page.alerts, []);
+    assert.deepStrictEqual(page.errors, []);
+  });
+});
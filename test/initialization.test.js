@@ -0,0 +1,56 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  DATE_RANGE_PARAM,
+  insightsTable,
+  loadExtension,
+  waitFor,
+  logText,
+  cardTexts,
+} = require("./helpers");
+
+const ROWS = [["Alpha", "DTC", "TV", "Jan 1 - Mar 31", "TV spend rose."]];
+
+describe("initialization", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  it("reports an initialization failure", async () => {
+    page = loadExtension({ initError: "Extension not allowed" });
+    const { window } = page;
+
+    await waitFor(() => /Init failed: Extension not allowed/.test(logText(window)));
+    assert.strictEqual(
+      window.document.getElementById("status-text").textContent,
+      "AI Insights extension failed to initialize."
+    );
+    assert.strictEqual(window.document.querySelectorAll(".insight-card").length, 0);
+  });
+
+  it("explains a missing insights worksheet", async () => {
+    page = loadExtension({
+      worksheets: [{ name: "Sales by Brand", data: insightsTable(ROWS) }],
+    });
+    const { window } = page;
+
+    const table = window.document.getElementById("insights-table");
+    await waitFor(() => /not found/.test(table.textContent));
+    assert.strictEqual(
+      table.textContent,
+      `Insights worksheet "${INSIGHTS_WORKSHEET}" not found. Use Configure to pick a worksheet.`
+    );
+  });
+
+  it("still renders the cards without the date range parameter", async () => {
+    page = loadExtension({
+      worksheets: [{ name: INSIGHTS_WORKSHEET, data: insightsTable(ROWS) }],
+      parameters: [],
+    });
+    const { window } = page;
+
+    await waitFor(() => window.document.querySelector(".insight-card"));
+    window.skipAnimations();
+    assert.match(logText(window), new RegExp(`Parameter "${DATE_RANGE_PARAM}" not found \\(optional\\)`));
+    assert.deepStrictEqual(cardTexts(window), ["TV spend rose."]);
+  });
+});
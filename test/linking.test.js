@@ -0,0 +1,44 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  insightsTable,
+  loadExtension,
+  waitFor,
+  waitForSettled,
+  sleep,
+  logText,
+} = require("./helpers");
+
+const LATENCY_MS = 50;
+
+describe("card-to-mark linking", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  it("ignores its own selections, even when their events come late, but not the user's", async () => {
+    page = loadExtension({
+      latencyMs: LATENCY_MS,
+      worksheets: [{
+        name: INSIGHTS_WORKSHEET,
+        data: insightsTable([["Alpha", "DTC", "TV", "", "Insight for Alpha"]]),
+      }],
+      settings: { refreshOnMarkSelection: "true" },
+    });
+    const { window } = page;
+    const selectionEvents = () => (logText(window).match(/selection changed/g) || []).length;
+    await waitForSettled(window, () => window.document.querySelector(".insight-card.linkable"));
+    window.skipAnimations();
+
+    // The mock delivers each event after the call that caused it returned
+    const body = window.document.querySelector(".insight-card.linkable .insight-body");
+    body.click();
+    await sleep(LATENCY_MS * 3);
+    body.click();
+    await sleep(LATENCY_MS * 3);
+    assert.strictEqual(selectionEvents(), 0);
+
+    const sheet = window.tableau.extensions.dashboardContent.dashboard.worksheets[0];
+    sheet.selectMarksByValueAsync([{ fieldName: "Brand", value: ["Alpha"] }], "select-replace");
+    await waitFor(() => selectionEvents() === 1);
+  });
+});
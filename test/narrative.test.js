@@ -0,0 +1,61 @@
+const assert = require("assert");
+const { INSIGHTS_WORKSHEET, loadExtension, waitForSettled, cardTexts } = require("./helpers");
+
+const cell = value => ({
+  value,
+  formattedValue: typeof value === "number" ? `$${value / 1000}K` : String(value),
+  nativeValue: value,
+});
+
+const SPEND_TABLE = {
+  columns: [
+    { fieldName: "Brand", dataType: "string", index: 0 },
+    { fieldName: "Current Period Spend", dataType: "float", index: 1 },
+    { fieldName: "Prior Period Spend", dataType: "float", index: 2 },
+  ],
+  data: [["Alpha", 112000, 100000].map(cell)],
+};
+
+describe("rule-based narratives", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  async function settledCardText(window, pattern) {
+    await waitForSettled(window, () => pattern.test(cardTexts(window).join("")));
+    window.skipAnimations();
+    return cardTexts(window);
+  }
+
+  it("uses newly saved templates despite the cache", async () => {
+    page = loadExtension({
+      worksheets: [{ name: INSIGHTS_WORKSHEET, data: SPEND_TABLE }],
+      settings: { insightProvider: "rules", cacheTtlMinutes: "10" },
+    });
+    const { window } = page;
+    assert.deepStrictEqual(
+      await settledCardText(window, /rose/),
+      ["Spend for Alpha rose 12% to $112K vs prior period ($100K)."]
+    );
+
+    const settings = window.tableau.extensions.settings;
+    settings.set("narrativeTemplates", JSON.stringify({ up: "UP {measure} {change}" }));
+    await settings.saveAsync();
+    window.applySettings();
+
+    assert.deepStrictEqual(await settledCardText(window, /UP/), ["UP Spend 12%"]);
+  });
+
+  it("prefers a measure's own templates", async () => {
+    page = loadExtension({
+      worksheets: [{ name: INSIGHTS_WORKSHEET, data: SPEND_TABLE }],
+      settings: {
+        insightProvider: "rules",
+        narrativeTemplates: JSON.stringify({
+          up: "UP {measure}",
+          measures: { Spend: { up: "Spend up {change}", down: "" }, Units: { up: "Units up" } },
+        }),
+      },
+    });
+    assert.deepStrictEqual(await settledCardText(page.window, /up/), ["Spend up 12%"]);
+  });
+});
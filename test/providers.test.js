@@ -0,0 +1,90 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  insightsTable,
+  loadExtension,
+  waitForSettled,
+  logText,
+  cardTexts,
+} = require("./helpers");
+
+const ENDPOINT = "http://localhost:8787/insights";
+const ROWS = [
+  ["Alpha", "DTC", "TV", "", ""],
+  ["Beta", "DTC", "TV", "", ""],
+];
+
+const jsonResponse = (payload, status = 200) => new Response(JSON.stringify(payload), {
+  status,
+  headers: { "Content-Type": "application/json" },
+});
+
+describe("HTTP insight provider", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  function load() {
+    page = loadExtension({
+      dashboardName: "Spend",
+      worksheets: [{ name: INSIGHTS_WORKSHEET, data: insightsTable(ROWS) }],
+      settings: { insightProvider: "http", insightEndpoint: ENDPOINT },
+    });
+    return page.window;
+  }
+
+  it("posts the rows and renders the valid insights, skipping malformed ones", async () => {
+    const window = load();
+    const requests = [];
+    window.fetch = async (url, options) => {
+      requests.push({ url, body: JSON.parse(options.body) });
+      return jsonResponse({
+        insights: [
+          { row: 1, text: "Beta **rose**.", severity: "high" },
+          { row: 2, text: "No such row" },
+          { row: "0", text: "Row given as a string" },
+          { row: 0, text: 12 },
+          null,
+        ],
+      });
+    };
+    await waitForSettled(window, () => cardTexts(window).length === 2);
+    window.skipAnimations();
+
+    assert.deepStrictEqual(cardTexts(window), ["No data", "Beta rose."]);
+    assert.match(logText(window), /Ignored 4 malformed insight\(s\) from the endpoint\./);
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, ENDPOINT);
+    assert.strictEqual(requests[0].body.version, 1);
+    assert.strictEqual(requests[0].body.dashboard, "Spend");
+    assert.deepStrictEqual(requests[0].body.rows, ROWS);
+  });
+
+  it("rejects HTTP errors, non-JSON answers and answers without insights", async () => {
+    const window = load();
+    const table = insightsTable(ROWS);
+    const answers = [
+      [() => jsonResponse({ error: "down" }, 503), /returned HTTP 503/],
+      [() => new Response("<html>Sign in</html>", { status: 200 }), /did not return JSON/],
+      [() => jsonResponse({ text: "Alpha rose." }), /has no "insights" array/],
+      [() => Promise.reject(new TypeError("Failed to fetch")), /unreachable: Failed to fetch/],
+    ];
+    for (const [answer, message] of answers) {
+      window.fetch = async () => answer();
+      await assert.rejects(window.generateWithEndpoint(table, []), message);
+    }
+  });
+
+  it("gives up when the endpoint does not answer in time", async () => {
+    const window = load();
+    const timeoutMs = window.eval("INSIGHT_REQUEST_TIMEOUT_MS");
+    // Run the request timeout at once instead of after half a minute
+    const setTimeout = window.setTimeout;
+    window.setTimeout = (fn, ms, ...args) => setTimeout(fn, ms === timeoutMs ? 0 : ms, ...args);
+    window.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => reject(new window.DOMException("Aborted", "AbortError")));
+    });
+
+    await assert.rejects(window.generateWithEndpoint(insightsTable(ROWS), []),
+      new RegExp(`did not answer within ${timeoutMs / 1000}s`));
+  });
+});
@@ -0,0 +1,55 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  DATE_RANGE_PARAM,
+  insightsTable,
+  loadExtension,
+  waitFor,
+  waitForSettled,
+  sleep,
+  cardTexts,
+} = require("./helpers");
+
+const LATENCY_MS = 150;
+
+describe("refresh coalescing", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  it("fetches once per burst and once more for changes during a refresh", async () => {
+    const fetchedFor = [];
+    page = loadExtension({
+      latencyMs: LATENCY_MS,
+      worksheets: [{
+        name: INSIGHTS_WORKSHEET,
+        getData: ({ parameters }) => {
+          const value = parameters[0].currentValue.value;
+          fetchedFor.push(value);
+          return insightsTable([["Alpha", "DTC", "TV", "", `Insight for ${value}`]]);
+        },
+      }],
+      parameters: [{ name: DATE_RANGE_PARAM, values: ["W0", "W1", "W2", "W3", "W4", "W5"], currentValue: "W0" }],
+    });
+    const { window } = page;
+    await waitFor(() => cardTexts(window).length === 1);
+    window.skipAnimations();
+    assert.deepStrictEqual(fetchedFor, ["W0"]);
+
+    const [parameter] = await window.tableau.extensions.dashboardContent.dashboard
+      .getParametersAsync();
+
+    // Within one debounce window: a single refresh for the last value
+    ["W1", "W2", "W3"].forEach(value => parameter.changeValueAsync(value));
+    await waitFor(() => fetchedFor.length === 2);
+    assert.ok(window.eval("isRefreshing"), "the refresh should still be in flight");
+
+    // While that refresh runs: queued as one trailing refresh
+    ["W4", "W5"].forEach(value => parameter.changeValueAsync(value));
+    await waitForSettled(window, () => cardTexts(window)[0] === "Insight for W5");
+    // Nothing else follows
+    await sleep(LATENCY_MS * 4);
+
+    assert.deepStrictEqual(fetchedFor, ["W0", "W3", "W5"]);
+    assert.deepStrictEqual(cardTexts(window), ["Insight for W5"]);
+  });
+});
@@ -0,0 +1,52 @@
+const assert = require("assert");
+const {
+  INSIGHTS_WORKSHEET,
+  insightsTable,
+  loadExtension,
+  waitFor,
+  cardTexts,
+} = require("./helpers");
+
+describe("card rendering", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  it("says so when the selection has no rows", async () => {
+    page = loadExtension({
+      worksheets: [{ name: INSIGHTS_WORKSHEET, data: insightsTable([]) }],
+    });
+    const table = page.window.document.getElementById("insights-table");
+
+    await waitFor(() => table.textContent);
+    assert.strictEqual(table.textContent, "No insights for the current selection.");
+  });
+
+  it("renders one card per row with title, badges, date and text", async () => {
+    page = loadExtension({
+      worksheets: [{
+        name: INSIGHTS_WORKSHEET,
+        data: insightsTable([
+          ["Alpha", "DTC", "TV", "Jan 1 - Mar 31", "TV spend rose **12%** to $1.4M."],
+          ["Beta", "HCP", "Digital", "Jan 1 - Mar 31", "Digital spend held."],
+        ]),
+      }],
+    });
+    const { window } = page;
+
+    await waitFor(() => window.document.querySelectorAll(".insight-card").length === 2);
+    window.skipAnimations();
+
+    const [first] = window.document.querySelectorAll(".insight-card");
+    assert.strictEqual(first.querySelector(".insight-brand").textContent, "Alpha");
+    assert.deepStrictEqual(
+      Array.from(first.querySelectorAll(".insight-badge"), badge => badge.textContent),
+      ["DTC", "TV"]
+    );
+    assert.strictEqual(first.querySelector(".insight-date").textContent, "Jan 1 - Mar 31");
+    assert.deepStrictEqual(cardTexts(window), ["TV spend rose 12% to $1.4M.", "Digital spend held."]);
+    assert.deepStrictEqual(
+      Array.from(first.querySelectorAll(".insight-number"), span => span.textContent),
+      ["12%", "$1.4M"]
+    );
+  });
+});
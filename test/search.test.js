@@ -0,0 +1,44 @@
+const assert = require("assert");
+const { INSIGHTS_WORKSHEET, insightsTable, loadExtension, waitFor, waitForSettled, cardTexts } = require("./helpers");
+
+describe("search", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  async function search(window, query) {
+    const input = window.document.getElementById("insight-search");
+    input.value = query;
+    input.dispatchEvent(new window.Event("input"));
+    await waitFor(() => window.eval("searchQuery") === query);
+  }
+
+  it("highlights a phrase that spans a highlighted number", async () => {
+    page = loadExtension({
+      worksheets: [{
+        name: INSIGHTS_WORKSHEET,
+        data: insightsTable([
+          ["Alpha", "DTC", "TV", "", "TV spend rose **12%** to $1.4M."],
+          ["Beta", "HCP", "Digital", "", "Digital spend held."],
+        ]),
+      }],
+    });
+    const { window } = page;
+    await waitForSettled(window, () => cardTexts(window).length === 2);
+    const marks = () => Array.from(
+      window.document.querySelectorAll("mark.search-hit"),
+      mark => mark.textContent
+    );
+
+    await search(window, "rose 12");
+    assert.strictEqual(window.document.getElementById("search-count").textContent, "1 of 2 insights");
+    assert.strictEqual(marks().join(""), "rose 12");
+    assert.ok(
+      window.document.querySelector(".insight-number mark.search-hit"),
+      "the number's part of the hit is marked inside its span"
+    );
+
+    await search(window, "");
+    assert.deepStrictEqual(marks(), []);
+    assert.deepStrictEqual(cardTexts(window), ["TV spend rose 12% to $1.4M.", "Digital spend held."]);
+  });
+});
@@ -0,0 +1,38 @@
+const assert = require("assert");
+const { INSIGHTS_WORKSHEET, cell, loadExtension, waitForSettled, cardTexts } = require("./helpers");
+
+const SPEND_TABLE = {
+  columns: [
+    { fieldName: "Brand", dataType: "string", index: 0 },
+    { fieldName: "AI Insight", dataType: "string", index: 1 },
+    { fieldName: "Spend", dataType: "float", index: 2 },
+  ],
+  data: [[
+    "Alpha",
+    "Spend reached $1.4M across 3 Markets and 2 Key accounts, not $9M.",
+    1400000,
+  ].map(cell)],
+};
+
+describe("number checks", () => {
+  let page;
+  afterEach(() => page.window.close());
+
+  it("flags unsupported amounts but not counts followed by a word", async () => {
+    page = loadExtension({ worksheets: [{ name: INSIGHTS_WORKSHEET, data: SPEND_TABLE }] });
+    const { window } = page;
+    await waitForSettled(window, () => cardTexts(window).length === 1);
+    window.skipAnimations();
+
+    const numbers = Array.from(
+      window.document.querySelectorAll("#insights-table .insight-number"),
+      span => ({ text: span.textContent.trim(), unsupported: span.classList.contains("unsupported") })
+    );
+    assert.deepStrictEqual(numbers, [
+      { text: "$1.4M", unsupported: false },
+      { text: "3", unsupported: false },
+      { text: "2", unsupported: false },
+      { text: "$9M", unsupported: true },
+    ]);
+  });
+});
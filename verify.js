@@ -0,0 +1,144 @@
+// ---------------------------------------------
+// Number verification
+// After the numbers in a card are highlighted, each one with a currency
+// symbol or a unit ($1.4M, 498K, 12%, 5 bps) is checked against the data
+// behind the card: the numeric cells of its row, the differences and
+// percentage changes between them, and every numeric value of the
+// optional validation worksheet (e.g. a sheet of totals). A figure is
+// supported when it is within the tolerance of one of them, allowing for
+// the rounding its digits imply ("$1.4M" covers 1.35M to 1.45M). Plain
+// numbers ("4 weeks", "2025", "3 Markets") are left alone.
+// ---------------------------------------------
+
+const VERIFY_NUMBER = /^([$£€]?)(\d[\d,]*(?:\.(\d+))?)\s*(K|M|%|bps)?$/i;
+const VERIFY_SCALES = { k: 1e3, m: 1e6 };
+
+// [{ field, value }] numeric values of the validation worksheet
+let validationFigures = [];
+
+// Read the validation worksheet once per refresh; failures only log
+async function loadValidationFigures() {
+  const name = getValidationWorksheetName();
+  validationFigures = [];
+  if (!name || !dashboard || !isNumberVerificationEnabled()) return;
+
+  const sheet = dashboard.worksheets.find(ws => ws.name === name);
+  if (!sheet) {
+    log(`Validation worksheet "${name}" not found.`);
+    return;
+  }
+  try {
+    const summary = await sheet.getSummaryDataAsync();
+    summary.data.forEach(row => {
+      validationFigures = validationFigures.concat(numericCells(row, summary.columns));
+    });
+  } catch (err) {
+    log(`Could not read validation worksheet: ${err.message || err}`);
+  }
+}
+
+// [{ field, value }] for the cells of a row that hold numbers
+function numericCells(row, columns) {
+  return row
+    .map((cell, idx) => ({ field: columns[idx].fieldName, value: cell ? cell.value : null }))
+    .filter(({ value }) => typeof value === "number" && isFinite(value));
+}
+
+// { value, percent, rounding } for a quoted figure; null for plain numbers
+function parseQuotedNumber(text) {
+  // A sentence's full stop can end up in the match ("$498.")
+  const m = text.trim().replace(/[.,]+$/, "").match(VERIFY_NUMBER);
+  if (!m || (!m[1] && !m[4])) return null;
+
+  const unit = (m[4] || "").toLowerCase();
+  const scale = (VERIFY_SCALES[unit] || 1) / (unit === "bps" ? 100 : 1);
+  const decimals = m[3] ? m[3].length : 0;
+  return {
+    value: parseFloat(m[2].replace(/,/g, "")) * scale,
+    percent: unit === "%" || unit === "bps",
+    rounding: (Math.pow(10, -decimals) * scale) / 2,
+  };
+}
+
+// Values a figure may be quoted from: { field, value, percent }
+function referenceValues(figures) {
+  const refs = [];
+  figures.forEach(({ field, value }) => {
+    refs.push({ field, value, percent: false });
+    refs.push({ field, value, percent: true });
+    // Ratios stored as fractions (0.12) are quoted as percentages
+    if (Math.abs(value) <= 1) refs.push({ field, value: value * 100, percent: true });
+  });
+
+  figures.forEach(a => figures.forEach(b => {
+    if (a === b) return;
+    refs.push({ field: `${a.field} − ${b.field}`, value: a.value - b.value, percent: false });
+    if (b.value !== 0) {
+      refs.push({
+        field: `change from ${b.field} to ${a.field}`,
+        value: ((a.value - b.value) / Math.abs(b.value)) * 100,
+        percent: true,
+      });
+    }
+  }));
+
+  validationFigures.forEach(({ field, value }) => {
+    refs.push({ field: `${field} (validation)`, value, percent: false });
+    refs.push({ field: `${field} (validation)`, value, percent: true });
+  });
+  return refs;
+}
+
+// Closest reference of the figure's kind, with whether it is close enough.
+// Signs are ignored: "fell 9%" quotes a -9% change.
+function checkFigure(figure, refs, tolerance) {
+  let best = null;
+  refs.forEach(ref => {
+    if (ref.percent !== figure.percent) return;
+    const gap = Math.abs(Math.abs(figure.value) - Math.abs(ref.value));
+    if (!best || gap < best.gap) best = { ref, gap };
+  });
+
+  const allowed = figure.rounding + (tolerance / 100) * Math.abs(best.ref.value);
+  return { supported: best.gap <= allowed, closest: best.ref };
+}
+
+// Flag the unsupported figures of a card body (after highlightNumbers)
+function verifyNumbers(element) {
+  if (!element) return;
+  const entry = Array.from(cardIndex.values()).find(({ card }) => card.contains(element));
+  const spans = element.querySelectorAll("span.insight-number");
+  spans.forEach(span => {
+    span.classList.remove("unsupported");
+    span.removeAttribute("title");
+  });
+  if (!entry || !isNumberVerificationEnabled()) return;
+
+  // Text-only data gives nothing to check against
+  const refs = referenceValues(entry.insight.figures || []);
+  if (refs.length === 0) return;
+  const tolerance = getVerificationTolerance();
+  spans.forEach(span => {
+    const figure = parseQuotedNumber(span.textContent);
+    if (!figure) return;
+
+    const { supported, closest } = checkFigure(figure, refs, tolerance);
+    if (supported) {
+      span.title = `Matches ${closest.field}`;
+      return;
+    }
+    span.classList.add("unsupported");
+    span.title = `Not supported by the data: the closest value is ${formatReference(closest)} ` +
+      `(${closest.field}), more than ${tolerance}% away.`;
+  });
+}
+
+// Check every card again, e.g. after the validation worksheet was re-read
+function verifyRenderedNumbers() {
+  cardIndex.forEach(({ card }) => verifyNumbers(card.querySelector(".insight-body")));
+}
+
+function formatReference(ref) {
+  const rounded = Math.round(ref.value * 100) / 100;
+  return ref.percent ? `${rounded}%` : rounded.toLocaleString("en-US");
+}